@@ -3,16 +3,27 @@ const cors = require('cors');
 const config = require('./config');
 const logger = require('./utils/logger');
 const { sendErrorResponse, createNotFoundError, createInternalError } = require('./utils/errorHandler');
+const { authenticate } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
 const apiRouter = require('./routes');
 
 const app = express();
+// Behind a reverse proxy or load balancer req.ip is the client from X-Forwarded-For
+app.set('trust proxy', config.server.trustProxy);
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Cross-origin requests only from the configured origins
+app.use(cors({ origin: config.auth.corsOrigins.length > 0 ? config.auth.corsOrigins : false }));
+// Keep the raw body for HMAC request signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
-// API routes
-app.use('/api', apiRouter);
+// API routes (each route declares the role it requires), rate limited per API
+// key, or per IP address for requests without a known key
+app.use('/api', rateLimit, authenticate, apiRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -1,10 +1,23 @@
 require('dotenv').config();
 
+// TRUST_PROXY: 'true'/'false', a number of proxy hops, or addresses/subnets (e.g. 'loopback, 10.0.0.0/8')
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 const config = {
   // Server configuration
   server: {
     port: process.env.API_PORT || 3007,
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    // Express 'trust proxy' setting: true/false, a number of proxy hops, or a list of trusted addresses
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
   },
 
   // Kraken API configuration
@@ -16,9 +29,28 @@ const config = {
     timeout: 10000,
     retryAttempts: 3,
     retryDelay: 1000,
+    // Retry delay after throttling errors (rate limits, market in cancel-only mode, ...)
+    backoffDelay: parseInt(process.env.KRAKEN_BACKOFF_DELAY_MS || '5000', 10),
+    // How often Assets/AssetPairs are reloaded into the asset registry
+    assetRefreshInterval: parseInt(process.env.ASSET_REFRESH_INTERVAL_MS || '3600000', 10),
+    // Kraken's call counters depend on the account's verification tier
+    // (starter, intermediate or pro)
     rateLimit: {
-      maxRequests: 15,
-      period: 1000
+      tier: (process.env.KRAKEN_TIER || 'starter').toLowerCase(),
+      // Public endpoints: a counter of this size decaying by one call per second
+      publicMax: parseInt(process.env.KRAKEN_PUBLIC_RATE_LIMIT || '10', 10),
+      // Share of the private counter ledger/trade history queries may fill
+      historyShare: parseFloat(process.env.KRAKEN_HISTORY_SHARE || '0.8'),
+      // After a rate limit error a tightened limit is relaxed one step per interval
+      recoveryInterval: parseInt(process.env.KRAKEN_RATE_LIMIT_RECOVERY_MS || '60000', 10)
+    },
+    // Nonces of private calls: file with the highest nonce issued, shared by
+    // every bot process using the same API key, and its lock file (<file>.lock)
+    nonce: {
+      file: process.env.NONCE_FILE || 'data/nonce',
+      lockTimeout: parseInt(process.env.NONCE_LOCK_TIMEOUT_MS || '2000', 10),
+      // A lock older than this was left behind by a crashed process
+      staleLockAge: 10000
     },
     endpoints: {
       rest: process.env.KRAKEN_SANDBOX === 'true' 
@@ -55,10 +87,135 @@ const config = {
     }
   },
 
+  // Local state journal (balances, orders, retries) so restarts can resume
+  persistence: {
+    file: process.env.STATE_FILE || 'data/state.jsonl',
+    compactThreshold: 1000
+  },
+
+  // REST API authentication: API keys with a role (read-only, operator, admin)
+  // and optional HMAC request signing. AUTH_ENABLED=false is for local development only.
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    keys: JSON.parse(process.env.API_KEYS || '[]'),
+    keysFile: process.env.API_KEYS_FILE || '',
+    maxClockSkew: parseInt(process.env.AUTH_MAX_CLOCK_SKEW_MS || '300000', 10),
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+  },
+
+  // Inbound limits per API client (API key, or IP address without one). Kraken
+  // calls made for API clients only get a share of the Kraken rate limit so
+  // the auto-sell engine always has room.
+  apiRateLimit: {
+    enabled: process.env.API_RATE_LIMIT_ENABLED !== 'false',
+    maxRequests: parseInt(process.env.API_RATE_LIMIT_MAX_REQUESTS || '60', 10),
+    window: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '60000', 10),
+    // Kraken calls a client may cause per quota window
+    krakenQuota: parseInt(process.env.API_KRAKEN_QUOTA || '600', 10),
+    krakenQuotaWindow: parseInt(process.env.API_KRAKEN_QUOTA_WINDOW_MS || '3600000', 10),
+    // Share of the Kraken rate limit usable by API clients, and how long such a call may wait for it
+    krakenShare: parseFloat(process.env.API_KRAKEN_SHARE || '0.5'),
+    krakenMaxWait: parseInt(process.env.API_KRAKEN_MAX_WAIT_MS || '5000', 10)
+  },
+
+  // Fiat withdrawal to a pre-registered withdrawal key once sales have settled
+  withdrawal: {
+    enabled: process.env.WITHDRAWAL_ENABLED === 'true',
+    key: process.env.WITHDRAWAL_KEY || '',
+    asset: process.env.WITHDRAWAL_ASSET || process.env.TARGET_FIAT || 'USD',
+    minAmount: parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT || '100'),
+    keepBalance: parseFloat(process.env.WITHDRAWAL_KEEP_BALANCE || '0'),
+    minInterval: parseInt(process.env.WITHDRAWAL_MIN_INTERVAL_MS || '3600000', 10),
+    dailyCap: parseFloat(process.env.WITHDRAWAL_DAILY_CAP || '0'),
+    statusPollInterval: parseInt(process.env.WITHDRAWAL_STATUS_POLL_INTERVAL_MS || '60000', 10)
+  },
+
   // Auto-sell configuration
   autoSell: {
     // Minimum amounts are now fetched from Kraken API
     // No hardcoded values needed
+
+    // Optional JSON file with per-asset sell rules (see sell-policy.example.json)
+    policyFile: process.env.SELL_POLICY_FILE || '',
+
+    // Simulate sells against the live order book instead of calling AddOrder
+    dryRun: process.env.DRY_RUN === 'true',
+
+    // Order execution strategy: 'market' or 'limit' (limit sell with slippage guard)
+    execution: {
+      strategy: process.env.EXECUTION_STRATEGY || 'market',
+      maxSlippagePercent: parseFloat(process.env.LIMIT_MAX_SLIPPAGE_PERCENT || '0.5'),
+      fillTimeout: parseInt(process.env.LIMIT_FILL_TIMEOUT_MS || '30000', 10),
+      pollInterval: 2000,
+      maxReprices: parseInt(process.env.LIMIT_MAX_REPRICES || '5', 10),
+      floorPercent: parseFloat(process.env.LIMIT_FLOOR_PERCENT || '3'),
+      floorPrices: JSON.parse(process.env.LIMIT_FLOOR_PRICES || '{}')
+    },
+
+    // Work is serialized per asset; this many assets may be processed at once
+    queue: {
+      maxConcurrency: parseInt(process.env.QUEUE_MAX_CONCURRENCY || '3', 10)
+    },
+
+    // A sale Kraken turns away for now (rate limited, too many open orders,
+    // market in cancel-only mode) is retried after this delay
+    deferDelay: parseInt(process.env.SALE_DEFER_DELAY_MS || '300000', 10),
+
+    // Order follow-up: fills arrive on the websocket executions channel, REST polling is the fallback
+    orderTracking: {
+      pollDelay: parseInt(process.env.ORDER_POLL_DELAY_MS || '5000', 10),
+      pollInterval: parseInt(process.env.ORDER_POLL_INTERVAL_MS || '15000', 10),
+      maxPolls: parseInt(process.env.ORDER_MAX_POLLS || '40', 10),
+      unmatchedTtl: 60000
+    },
+
+    // Residues below the minimum order size; the optional sweep sells them through an intermediate pair
+    dust: {
+      sweepEnabled: process.env.DUST_SWEEP_ENABLED === 'true',
+      sweepInterval: parseInt(process.env.DUST_SWEEP_INTERVAL_MS || '86400000', 10),
+      intermediates: (process.env.DUST_INTERMEDIATES || 'BTC,ETH,USDT,USDC').split(',').map(asset => asset.trim())
+    },
+
+    // Multi-hop sales for assets without a direct pair to the target fiat
+    routing: {
+      enabled: process.env.MULTI_HOP_ENABLED === 'true',
+      intermediates: (process.env.ROUTE_INTERMEDIATES || 'BTC,ETH,USDT,USDC,EUR').split(',').map(asset => asset.trim()),
+      minLegLiquidity: parseFloat(process.env.ROUTE_MIN_LEG_LIQUIDITY || '10000')
+    },
+
+    // Circuit breaker in front of every order; a limit of 0 disables that check
+    risk: {
+      maxOrderNotional: parseFloat(process.env.RISK_MAX_ORDER_NOTIONAL || '0'),
+      dailyNotionalCap: parseFloat(process.env.RISK_DAILY_NOTIONAL_CAP || '0'),
+      assetDailyNotionalCaps: JSON.parse(process.env.RISK_ASSET_DAILY_NOTIONAL_CAPS || '{}'),
+      maxOrdersPerHour: parseInt(process.env.RISK_MAX_ORDERS_PER_HOUR || '0', 10),
+      maxPriceDeviationPercent: parseFloat(process.env.RISK_MAX_PRICE_DEVIATION_PERCENT || '0')
+    },
+
+    // Deposits worth more than the threshold (in target fiat) are only sold once
+    // approved; a threshold of 0 disables approvals
+    approval: {
+      thresholdNotional: parseFloat(process.env.APPROVAL_THRESHOLD_NOTIONAL || '0'),
+      requiredApprovals: parseInt(process.env.APPROVAL_REQUIRED_APPROVALS || '1', 10),
+      timeout: parseInt(process.env.APPROVAL_TIMEOUT_MS || '86400000', 10),
+      defaultAction: process.env.APPROVAL_DEFAULT_ACTION || 'reject'
+    },
+
+    // Staking/Earn balances (DOT.S, ETH.F, ...) are never sold directly; flexible
+    // allocations can optionally be deallocated so the spot balance gets sold
+    earn: {
+      autoUnstake: process.env.EARN_AUTO_UNSTAKE === 'true',
+      deallocatePollInterval: parseInt(process.env.EARN_DEALLOCATE_POLL_INTERVAL_MS || '10000', 10),
+      deallocateTimeout: parseInt(process.env.EARN_DEALLOCATE_TIMEOUT_MS || '600000', 10)
+    },
+
+    // Split sales above a notional value (in target fiat) into child orders
+    twap: {
+      enabled: process.env.TWAP_ENABLED === 'true',
+      thresholdNotional: parseFloat(process.env.TWAP_THRESHOLD_NOTIONAL || '1000'),
+      slices: parseInt(process.env.TWAP_SLICES || '5', 10),
+      window: parseInt(process.env.TWAP_WINDOW_MS || '600000', 10)
+    }
   }
 };
 
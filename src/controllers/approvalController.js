@@ -0,0 +1,86 @@
+const approvalService = require('../services/approvalService');
+const { ApprovalStatuses } = require('../services/approvalService');
+const { handleValidationError } = require('../utils/validation');
+const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createValidationError, createInternalError } = require('../utils/errorHandler');
+
+// Who is deciding, recorded with the decision: the authenticated API key, or
+// body.approver when authentication is disabled
+function getApprover(req) {
+  if (req.auth) {
+    return req.auth.id;
+  }
+  const approver = typeof req.body?.approver === 'string' ? req.body.approver.trim() : '';
+  if (!approver || approver.length > 64) {
+    throw createValidationError('Approver is required (1-64 characters)', 'approver');
+  }
+  return approver;
+}
+
+function sendNotFound(req, res) {
+  const notFoundError = createNotFoundError('Approval request not found', { id: req.params.id });
+  sendErrorResponse(res, notFoundError, {
+    endpoint: req.path,
+    method: req.method,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    params: req.params
+  });
+}
+
+// Approve or reject a pending request, or release a rejected one
+function decide(action) {
+  return (req, res) => {
+    try {
+      const approver = getApprover(req);
+      const comment = typeof req.body?.comment === 'string' ? req.body.comment : null;
+      const approval = approvalService[action](req.params.id, approver, comment);
+      if (!approval) {
+        return sendNotFound(req, res);
+      }
+      sendSuccessResponse(res, { approval });
+    } catch (error) {
+      if (error.type === 'Validation Error') {
+        return handleValidationError(error, req, res);
+      }
+      sendErrorResponse(res, createInternalError(`Failed to ${action} request`, error.message), {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        params: req.params
+      });
+    }
+  };
+}
+
+// List sale requests held for approval (newest first), optionally by status
+exports.getApprovals = (req, res) => {
+  const { status } = req.query;
+  if (status && !Object.values(ApprovalStatuses).includes(status)) {
+    return handleValidationError(
+      createValidationError(`Status must be one of ${Object.values(ApprovalStatuses).join(', ')}`, 'status'),
+      req,
+      res
+    );
+  }
+
+  const approvals = approvalService.getApprovals({ status });
+  sendSuccessResponse(res, {
+    config: approvalService.getConfig(),
+    count: approvals.length,
+    approvals
+  });
+};
+
+// Get a single request with its decisions
+exports.getApproval = (req, res) => {
+  const approval = approvalService.getApproval(req.params.id);
+  if (!approval) {
+    return sendNotFound(req, res);
+  }
+  sendSuccessResponse(res, { approval });
+};
+
+exports.approve = decide('approve');
+exports.reject = decide('reject');
+exports.release = decide('release');
@@ -1,17 +1,133 @@
+const config = require('../config');
 const autoSellService = require('../services/autoSellService');
 const websocketService = require('../services/websocketService');
-const { sendSuccessResponse } = require('../utils/errorHandler');
+const sellPolicyService = require('../services/sellPolicyService');
+const twapService = require('../services/twapService');
+const dustService = require('../services/dustService');
+const routeService = require('../services/routeService');
+const earnService = require('../services/earnService');
+const riskGuard = require('../services/riskGuard');
+const { sendSuccessResponse, sendErrorResponse, createNotFoundError, createInternalError } = require('../utils/errorHandler');
 
 // Get status of the auto-sell service
 exports.getStatus = (req, res) => {
   const ws = websocketService.getInstance();
+  const { paused, pausedReason, pauses } = autoSellService.getPauseStatus();
   sendSuccessResponse(res, {
-    status: 'running',
+    status: paused ? 'paused' : 'running',
+    paused,
+    pausedReason,
+    pausedAssets: pauses.assets,
+    dryRun: config.autoSell.dryRun,
+    executionStrategy: config.autoSell.execution.strategy,
     initialProcessingComplete: autoSellService.isInitialProcessingComplete(),
     currentBalances: autoSellService.getCurrentBalances(),
+    sellPolicy: sellPolicyService.getPolicy(),
+    riskGuard: riskGuard.getStatus(),
     websocket: {
       connected: websocketService.isConnected(),
       lastUpdate: autoSellService.getLastRequestTime()
     }
   });
-}; 
\ No newline at end of file
+}; 
+// List TWAP executions with their aggregate progress
+exports.getExecutions = (req, res) => {
+  const executions = twapService.getExecutions();
+  sendSuccessResponse(res, {
+    count: executions.length,
+    executions
+  });
+};
+
+// Get a single TWAP execution with its child orders
+exports.getExecution = (req, res) => {
+  const execution = twapService.getExecution(req.params.id);
+  if (!execution) {
+    const notFoundError = createNotFoundError('Execution not found', { id: req.params.id });
+    return sendErrorResponse(res, notFoundError, {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      params: req.params
+    });
+  }
+  sendSuccessResponse(res, { execution });
+};
+
+// Get current balances split into spot and staking/earn (locked, flexible, bonded)
+exports.getBalances = (req, res) => {
+  const { spot, earn } = earnService.classifyBalances(autoSellService.getCurrentBalances());
+  sendSuccessResponse(res, {
+    balances: autoSellService.getCurrentBalances(),
+    spot,
+    earn,
+    autoUnstake: {
+      enabled: config.autoSell.earn.autoUnstake,
+      unstakes: earnService.getUnstakes()
+    }
+  });
+};
+
+// Get per-asset work queue depth and in-flight jobs
+exports.getQueue = (req, res) => {
+  sendSuccessResponse(res, {
+    queue: autoSellService.getQueueStatus()
+  });
+};
+
+// Get the parent/child attempt history of a sale, including reconciliation results
+exports.getOrderHistory = (req, res) => {
+  const history = autoSellService.getAttemptHistory(req.params.txid);
+  if (!history) {
+    const notFoundError = createNotFoundError('Order not found', { txid: req.params.txid });
+    return sendErrorResponse(res, notFoundError, {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      params: req.params
+    });
+  }
+  sendSuccessResponse(res, { history });
+};
+
+// Get dust balances below the minimum order size with their fiat value
+exports.getDust = async (req, res) => {
+  try {
+    const dust = await dustService.getReport();
+    sendSuccessResponse(res, { dust });
+  } catch (err) {
+    sendErrorResponse(res, createInternalError('Failed to build dust report', err.message), {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+  }
+};
+
+// List multi-hop route sales
+exports.getRoutes = (req, res) => {
+  const routes = routeService.getSales();
+  sendSuccessResponse(res, {
+    count: routes.length,
+    routes
+  });
+};
+
+// Get a single multi-hop route sale with its legs
+exports.getRoute = (req, res) => {
+  const route = routeService.getSale(req.params.id);
+  if (!route) {
+    const notFoundError = createNotFoundError('Route sale not found', { id: req.params.id });
+    return sendErrorResponse(res, notFoundError, {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      params: req.params
+    });
+  }
+  sendSuccessResponse(res, { route });
+};
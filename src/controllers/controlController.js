@@ -0,0 +1,101 @@
+const autoSellService = require('../services/autoSellService');
+const { getCaller } = require('../middleware/auth');
+const { validateAsset, validateTxid, handleValidationError } = require('../utils/validation');
+const { KrakenError } = require('../utils/krakenErrors');
+const { toDecimal } = require('../utils/decimal');
+const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createValidationError, createInternalError, createKrakenApiErrorFrom } = require('../utils/errorHandler');
+
+// Optional asset in the request body (null = all assets)
+function getOptionalAsset(body) {
+  return body && body.asset !== undefined ? validateAsset(body.asset) : null;
+}
+
+function sendControlError(req, res, error, message) {
+  if (error.type === 'Validation Error') {
+    return handleValidationError(error, req, res);
+  }
+  const apiError = error instanceof KrakenError
+    ? createKrakenApiErrorFrom(error, message)
+    : createInternalError(message, error.message);
+  sendErrorResponse(res, apiError, {
+    endpoint: req.path,
+    method: req.method,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    params: req.params
+  });
+}
+
+// Pause auto-selling for all assets, or for body.asset
+exports.pause = (req, res) => {
+  try {
+    const asset = getOptionalAsset(req.body);
+    const pause = autoSellService.pause(asset, { reason: req.body?.reason || null, pausedBy: getCaller(req) });
+    sendSuccessResponse(res, {
+      pause,
+      ...autoSellService.getPauseStatus()
+    });
+  } catch (error) {
+    sendControlError(req, res, error, 'Failed to pause auto-sell');
+  }
+};
+
+// Resume auto-selling for all assets (also resetting a tripped risk guard), or for body.asset
+exports.resume = (req, res) => {
+  try {
+    const asset = getOptionalAsset(req.body);
+    const result = autoSellService.resume(asset, getCaller(req));
+    sendSuccessResponse(res, {
+      ...result,
+      ...autoSellService.getPauseStatus()
+    });
+  } catch (error) {
+    sendControlError(req, res, error, 'Failed to resume auto-sell');
+  }
+};
+
+// Sell body.amount of body.asset (its whole balance without an amount) through the normal sell path
+exports.sell = async (req, res) => {
+  try {
+    const asset = validateAsset(req.body?.asset);
+    let amount = null;
+    if (req.body.amount !== undefined) {
+      amount = toDecimal(req.body.amount);
+      if (!amount.isFinite() || amount.lte(0)) {
+        throw createValidationError('Amount must be a positive number', 'amount');
+      }
+    }
+
+    const result = await autoSellService.manualSell(asset, amount);
+    if (result.reason === 'no_balance') {
+      throw createValidationError(`No ${result.asset} balance to sell`, 'asset');
+    }
+    sendSuccessResponse(res, result);
+  } catch (error) {
+    sendControlError(req, res, error, 'Failed to sell asset');
+  }
+};
+
+// Cancel an open order placed by the bot
+exports.cancelOrder = async (req, res) => {
+  try {
+    const txid = validateTxid(req.params.txid);
+    const result = await autoSellService.cancelOrder(txid, getCaller(req));
+    if (!result) {
+      const notFoundError = createNotFoundError('Order not found', { txid });
+      return sendErrorResponse(res, notFoundError, {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        params: req.params
+      });
+    }
+    if (!result.canceled) {
+      throw createValidationError(`Order ${txid} is not open (status: ${result.orderStatus})`, 'txid');
+    }
+    sendSuccessResponse(res, result);
+  } catch (error) {
+    sendControlError(req, res, error, 'Failed to cancel order');
+  }
+};
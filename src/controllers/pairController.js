@@ -0,0 +1,62 @@
+const pairIndex = require('../services/pairIndex');
+const { PairStatuses } = require('../services/pairIndex');
+const { validateAsset, handleValidationError } = require('../utils/validation');
+const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createValidationError, createInternalError } = require('../utils/errorHandler');
+
+// List trading pairs, optionally filtered by base, quote, status or tradability
+exports.getPairs = (req, res) => {
+  try {
+    const { base, quote, status, tradable } = req.query;
+    if (status && !Object.values(PairStatuses).includes(status)) {
+      throw createValidationError(`Invalid status (expected one of: ${Object.values(PairStatuses).join(', ')})`, 'status');
+    }
+    if (tradable && !['true', 'false'].includes(tradable)) {
+      throw createValidationError('Invalid tradable filter (expected true or false)', 'tradable');
+    }
+
+    const pairs = pairIndex.findPairs({
+      base: base ? validateAsset(base) : null,
+      quote: quote ? validateAsset(quote) : null,
+      status,
+      tradable: tradable === 'true'
+    });
+
+    sendSuccessResponse(res, {
+      count: pairs.length,
+      filters: { base: base || null, quote: quote || null, status: status || null, tradable: tradable === 'true' },
+      pairs
+    });
+  } catch (error) {
+    if (error.type === 'Validation Error') {
+      handleValidationError(error, req, res);
+    } else {
+      const internalError = createInternalError('Failed to list pairs', error.message);
+      sendErrorResponse(res, internalError, {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        params: req.query
+      });
+    }
+  }
+};
+
+// Get one pair by its key, altname or wsname
+exports.getPair = (req, res) => {
+  const pair = pairIndex.getPairByName(req.params.pair);
+  if (!pair) {
+    const notFoundError = createNotFoundError('Pair not found', { pair: req.params.pair });
+    return sendErrorResponse(res, notFoundError, {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      params: req.params
+    });
+  }
+  sendSuccessResponse(res, {
+    pair,
+    tradable: pairIndex.isTradable(pair)
+  });
+};
@@ -1,7 +1,9 @@
 const krakenService = require('../services/krakenService');
+const paperTradingService = require('../services/paperTradingService');
 const { formatTradeData } = require('../utils/helpers');
 const { validateTxid, validateTxidArray, handleValidationError } = require('../utils/validation');
-const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createKrakenApiError, createInternalError } = require('../utils/errorHandler');
+const { KrakenError } = require('../utils/krakenErrors');
+const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createKrakenApiErrorFrom, createInternalError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 
 // Get details for a single trade/order by transaction ID
@@ -9,8 +11,17 @@ exports.getTrade = async (req, res) => {
   try {
     const txid = validateTxid(req.params.txid);
     
+    // Simulated (dry-run) orders never reach Kraken
+    const simulated = paperTradingService.getOrder(txid);
+    if (simulated) {
+      return sendSuccessResponse(res, {
+        ...formatTradeData(simulated.order, simulated.trades, txid),
+        simulated: true
+      });
+    }
+    
     // Fetch order status
-    const orderResp = await krakenService.kraken.api('QueryOrders', { txid, trades: true });
+    const orderResp = await krakenService.clientCall('QueryOrders', { txid, trades: true });
     const order = orderResp.result[txid];
     if (!order) {
       const notFoundError = createNotFoundError('Order not found', { txid });
@@ -26,7 +37,7 @@ exports.getTrade = async (req, res) => {
     // Fetch trade details if available
     let trades = null;
     if (order.trades && order.trades.length > 0) {
-      const tradesResp = await krakenService.kraken.api('QueryTrades', { txid: order.trades.join(',') });
+      const tradesResp = await krakenService.clientCall('QueryTrades', { txid: order.trades.join(',') });
       trades = tradesResp.result;
     }
     
@@ -35,8 +46,16 @@ exports.getTrade = async (req, res) => {
   } catch (error) {
     if (error.type === 'Validation Error') {
       handleValidationError(error, req, res);
-    } else if (error.message && error.message.includes('Kraken')) {
-      const krakenError = createKrakenApiError('Failed to fetch trade details from Kraken API', error);
+    } else if (error.type === 'Rate Limit Exceeded') {
+      sendErrorResponse(res, error, {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        params: req.params
+      });
+    } else if (error instanceof KrakenError) {
+      const krakenError = createKrakenApiErrorFrom(error, 'Failed to fetch trade details from Kraken API');
       sendErrorResponse(res, krakenError, {
         endpoint: req.path,
         method: req.method,
@@ -67,12 +86,21 @@ exports.getBatchTrades = async (req, res) => {
     
     for (const txid of txids) {
       try {
-        const orderResp = await krakenService.kraken.api('QueryOrders', { txid, trades: true });
+        const simulated = paperTradingService.getOrder(txid);
+        if (simulated) {
+          results[txid] = {
+            ...formatTradeData(simulated.order, simulated.trades, txid),
+            simulated: true
+          };
+          continue;
+        }
+        
+        const orderResp = await krakenService.clientCall('QueryOrders', { txid, trades: true });
         const order = orderResp.result[txid];
         if (order) {
           let trades = null;
           if (order.trades && order.trades.length > 0) {
-            const tradesResp = await krakenService.kraken.api('QueryTrades', { txid: order.trades.join(',') });
+            const tradesResp = await krakenService.clientCall('QueryTrades', { txid: order.trades.join(',') });
             trades = tradesResp.result;
           }
           results[txid] = formatTradeData(order, trades, txid);
@@ -85,9 +113,14 @@ exports.getBatchTrades = async (req, res) => {
           errors.push({ txid, error: 'Order not found' });
         }
       } catch (err) {
+        // Out of Kraken capacity or throttled by Kraken: fail the whole batch so the client retries later
+        if (err.type === 'Rate Limit Exceeded' || (err instanceof KrakenError && err.isBackoff())) {
+          throw err;
+        }
         results[txid] = { 
           error: 'Failed to fetch order',
           message: err.message,
+          krakenCode: err instanceof KrakenError ? err.code : null,
           timestamp: new Date().toISOString()
         };
         errors.push({ txid, error: err.message });
@@ -108,8 +141,16 @@ exports.getBatchTrades = async (req, res) => {
   } catch (error) {
     if (error.type === 'Validation Error') {
       handleValidationError(error, req, res);
-    } else if (error.message && error.message.includes('Kraken')) {
-      const krakenError = createKrakenApiError('Failed to process batch request from Kraken API', error);
+    } else if (error.type === 'Rate Limit Exceeded') {
+      sendErrorResponse(res, error, {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        body: req.body
+      });
+    } else if (error instanceof KrakenError) {
+      const krakenError = createKrakenApiErrorFrom(error, 'Failed to process batch request from Kraken API');
       sendErrorResponse(res, krakenError, {
         endpoint: req.path,
         method: req.method,
@@ -0,0 +1,28 @@
+const withdrawalService = require('../services/withdrawalService');
+const { sendErrorResponse, sendSuccessResponse, createNotFoundError } = require('../utils/errorHandler');
+
+// List withdrawals (newest first) with the withdrawal limits in effect
+exports.getWithdrawals = (req, res) => {
+  const withdrawals = withdrawalService.getWithdrawals();
+  sendSuccessResponse(res, {
+    config: withdrawalService.getStatus(),
+    count: withdrawals.length,
+    withdrawals
+  });
+};
+
+// Get a single withdrawal by its Kraken reference ID
+exports.getWithdrawal = (req, res) => {
+  const withdrawal = withdrawalService.getWithdrawal(req.params.refid);
+  if (!withdrawal) {
+    const notFoundError = createNotFoundError('Withdrawal not found', { refid: req.params.refid });
+    return sendErrorResponse(res, notFoundError, {
+      endpoint: req.path,
+      method: req.method,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      params: req.params
+    });
+  }
+  sendSuccessResponse(res, { withdrawal });
+};
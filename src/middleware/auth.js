@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendErrorResponse, createUnauthorizedError, createForbiddenError } = require('../utils/errorHandler');
+
+// Roles in increasing order of privilege; each role can do what the ones before it can
+const Roles = {
+  READ_ONLY: 'read-only',
+  OPERATOR: 'operator',
+  ADMIN: 'admin'
+};
+const ROLE_LEVELS = {
+  [Roles.READ_ONLY]: 1,
+  [Roles.OPERATOR]: 2,
+  [Roles.ADMIN]: 3
+};
+
+// Route groups a key can be limited to through its scopes
+const Scopes = ['trades', 'auto-sell', 'balances', 'pairs', 'withdrawals', 'approvals', 'control', 'debug'];
+
+let apiKeys = null; // key -> { id, secret, role, scopes }
+const usedSignatures = new Map(); // signature -> time after which it can be forgotten
+
+// Load and validate the API keys from API_KEYS_FILE or API_KEYS. Each key is
+// { id, key, secret?, role, scopes? }; keys with a secret only accept signed requests.
+function loadApiKeys() {
+  const { keys, keysFile } = config.auth;
+  const entries = keysFile ? JSON.parse(fs.readFileSync(path.resolve(keysFile), 'utf8')) : keys;
+  if (!Array.isArray(entries)) {
+    throw new Error('API keys must be a JSON array');
+  }
+
+  const loaded = new Map();
+  for (const [index, entry] of entries.entries()) {
+    const name = entry?.id || `#${index}`;
+    if (!entry || typeof entry.id !== 'string' || typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error(`Invalid API key ${name}: id and a key of at least 16 characters are required`);
+    }
+    if (!ROLE_LEVELS[entry.role]) {
+      throw new Error(`Invalid API key ${name}: role must be one of ${Object.values(Roles).join(', ')}`);
+    }
+    const scopes = entry.scopes || ['*'];
+    if (!Array.isArray(scopes)) {
+      throw new Error(`Invalid API key ${name}: scopes must be an array`);
+    }
+    const unknownScope = scopes.find(scope => scope !== '*' && !Scopes.includes(scope));
+    if (unknownScope) {
+      throw new Error(`Invalid API key ${name}: unknown scope ${unknownScope}`);
+    }
+    if (loaded.has(entry.key)) {
+      throw new Error(`Invalid API key ${name}: key is used twice`);
+    }
+    loaded.set(entry.key, { id: entry.id, secret: entry.secret || null, role: entry.role, scopes });
+  }
+
+  apiKeys = loaded;
+  logger.info('API keys loaded', {
+    source: keysFile ? path.resolve(keysFile) : 'API_KEYS',
+    keys: Array.from(loaded.values()).map(({ id, role, scopes, secret }) => ({ id, role, scopes, signed: !!secret }))
+  });
+  return loaded.size;
+}
+
+function getApiKeys() {
+  return apiKeys || (loadApiKeys(), apiKeys);
+}
+
+// Constant-time comparison of two strings
+function safeEqual(provided, expected) {
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// HMAC-SHA256 (hex) over timestamp + method + path (with query) + raw body
+function signRequest(secret, timestamp, method, url, body = '') {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}${method}${url}${body}`).digest('hex');
+}
+
+// Check the signature of a request made with a key that has a secret; returns an error message or null
+function verifySignature(req, entry) {
+  const timestamp = req.get('X-API-Timestamp');
+  const signature = req.get('X-API-Signature');
+  if (!timestamp || !signature) {
+    return 'This API key requires signed requests (X-API-Timestamp and X-API-Signature)';
+  }
+
+  const now = Date.now();
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > config.auth.maxClockSkew) {
+    return 'Request timestamp is missing or outside the allowed window';
+  }
+
+  const expected = signRequest(entry.secret, timestamp, req.method, req.originalUrl, req.rawBody || '');
+  if (!safeEqual(signature, expected)) {
+    return 'Invalid request signature';
+  }
+
+  // A signature is only accepted once within the timestamp window
+  for (const [used, expiresAt] of usedSignatures) {
+    if (expiresAt < now) {
+      usedSignatures.delete(used);
+    }
+  }
+  if (usedSignatures.has(signature)) {
+    return 'Request signature has already been used';
+  }
+  usedSignatures.set(signature, Number(timestamp) + config.auth.maxClockSkew);
+  return null;
+}
+
+function reject(req, res, error) {
+  logger.warn('API request not authorized', {
+    error: error.message,
+    keyId: req.auth?.id,
+    endpoint: req.originalUrl,
+    method: req.method,
+    ip: req.ip
+  });
+  sendErrorResponse(res, error, {
+    endpoint: req.path,
+    method: req.method,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+}
+
+// Key presented through X-API-Key or Authorization: Bearer <key>
+function getPresentedKey(req) {
+  const header = req.get('Authorization') || '';
+  return req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+}
+
+// Known API key a request presents, before its signature is checked; null
+// without one (or with authentication disabled)
+function findApiKey(req) {
+  const key = config.auth.enabled ? getPresentedKey(req) : '';
+  return key ? getApiKeys().get(key) || null : null;
+}
+
+// Identify the caller from X-API-Key (or Authorization: Bearer <key>) and set
+// req.auth; requests without credentials continue anonymously
+function authenticate(req, res, next) {
+  req.auth = null;
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  const key = getPresentedKey(req);
+  if (!key) {
+    return next();
+  }
+
+  const entry = getApiKeys().get(key);
+  if (!entry) {
+    return reject(req, res, createUnauthorizedError('Invalid API key'));
+  }
+  if (entry.secret) {
+    const error = verifySignature(req, entry);
+    if (error) {
+      return reject(req, res, createUnauthorizedError(error));
+    }
+  }
+
+  req.auth = { id: entry.id, role: entry.role, scopes: entry.scopes, signed: !!entry.secret };
+  next();
+}
+
+// Require at least the given role, and the scope of the route unless the key is
+// unscoped. Routes without a scope (the API overview) are open to every scope.
+function requireRole(role, scope = null) {
+  return (req, res, next) => {
+    if (!config.auth.enabled) {
+      return next();
+    }
+    if (!req.auth) {
+      return reject(req, res, createUnauthorizedError('Authentication required (X-API-Key header)'));
+    }
+    if (ROLE_LEVELS[req.auth.role] < ROLE_LEVELS[role]) {
+      return reject(req, res, createForbiddenError(`The ${role} role is required`, role));
+    }
+    if (scope && !req.auth.scopes.includes('*') && !req.auth.scopes.includes(scope)) {
+      return reject(req, res, createForbiddenError(`API key is not scoped for ${scope}`, role));
+    }
+    next();
+  };
+}
+
+// Name of the authenticated caller, for audit fields
+function getCaller(req, fallback = 'operator') {
+  return req.auth?.id || fallback;
+}
+
+module.exports = {
+  Roles,
+  Scopes,
+  loadApiKeys,
+  signRequest,
+  findApiKey,
+  authenticate,
+  requireRole,
+  getCaller
+};
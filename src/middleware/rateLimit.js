@@ -0,0 +1,159 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendErrorResponse, createRateLimitError } = require('../utils/errorHandler');
+const { findApiKey } = require('./auth');
+
+// Sliding windows per client: id -> { requests: [{ time, cost }], krakenCalls: [{ time, cost }] }
+const clients = new Map();
+let lastSweep = Date.now();
+
+// API key id when authenticated, the IP address otherwise
+function getClientId(req) {
+  return req.auth ? `key:${req.auth.id}` : `ip:${req.ip}`;
+}
+
+// Drop entries that left the window from the front of a time-ordered list
+function prune(entries, window, now) {
+  while (entries.length > 0 && entries[0].time <= now - window) {
+    entries.shift();
+  }
+}
+
+function total(entries) {
+  return entries.reduce((sum, entry) => sum + entry.cost, 0);
+}
+
+// Seconds until enough of the window has expired to admit `cost` more
+function secondsUntilFree(entries, limit, window, cost, now) {
+  let used = total(entries);
+  for (const entry of entries) {
+    used -= entry.cost;
+    if (used + cost <= limit) {
+      return Math.max(Math.ceil((entry.time + window - now) / 1000), 1);
+    }
+  }
+  return Math.ceil(window / 1000);
+}
+
+function getClient(id, now) {
+  // Forget clients that have been idle for a whole window
+  const { window, krakenQuotaWindow } = config.apiRateLimit;
+  if (now - lastSweep > window) {
+    for (const [clientId, client] of clients) {
+      prune(client.requests, window, now);
+      prune(client.krakenCalls, krakenQuotaWindow, now);
+      if (client.requests.length === 0 && client.krakenCalls.length === 0) {
+        clients.delete(clientId);
+      }
+    }
+    lastSweep = now;
+  }
+
+  if (!clients.has(id)) {
+    clients.set(id, { requests: [], krakenCalls: [] });
+  }
+  return clients.get(id);
+}
+
+// Admit `cost` into a window, or return the number of seconds to wait
+function take(entries, limit, window, cost, now) {
+  prune(entries, window, now);
+  if (total(entries) + cost > limit) {
+    return secondsUntilFree(entries, limit, window, cost, now);
+  }
+  entries.push({ time: now, cost });
+  return 0;
+}
+
+function reject(req, res, clientId, message, retryAfter) {
+  logger.warn('API client rate limited', {
+    client: clientId,
+    endpoint: req.originalUrl,
+    method: req.method,
+    retryAfter
+  });
+  sendErrorResponse(res, createRateLimitError(message, retryAfter), {
+    endpoint: req.path,
+    method: req.method,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+}
+
+// Count one request against a client's window, or reject it
+function limitRequests(req, res, next, clientId) {
+  const { maxRequests, window } = config.apiRateLimit;
+  const now = Date.now();
+  const client = getClient(clientId, now);
+  const retryAfter = take(client.requests, maxRequests, window, 1, now);
+
+  res.set('X-RateLimit-Limit', String(maxRequests));
+  res.set('X-RateLimit-Remaining', String(Math.max(maxRequests - total(client.requests), 0)));
+  if (retryAfter > 0) {
+    return reject(req, res, clientId, `Rate limit of ${maxRequests} requests per ${window / 1000}s exceeded`, retryAfter);
+  }
+  next();
+}
+
+// Limit the number of requests per client and window (the health check is
+// exempt). Runs before authentication, so requests with bad signatures are
+// counted too: against the API key they present when it is a known key, so
+// clients behind one proxy do not share a window, and against the IP address
+// otherwise.
+function rateLimit(req, res, next) {
+  if (!config.apiRateLimit.enabled || req.path === '/health') {
+    return next();
+  }
+  const entry = findApiKey(req);
+  limitRequests(req, res, next, entry ? `key:${entry.id}` : `ip:${req.ip}`);
+}
+
+// Charge the Kraken calls a route can make against the client's quota. `cost`
+// is a number or a function of the request.
+function krakenQuota(cost) {
+  return (req, res, next) => {
+    if (!config.apiRateLimit.enabled) {
+      return next();
+    }
+
+    const { krakenQuota: quota, krakenQuotaWindow } = config.apiRateLimit;
+    const calls = typeof cost === 'function' ? cost(req) : cost;
+    const now = Date.now();
+    const clientId = getClientId(req);
+    const client = getClient(clientId, now);
+    const retryAfter = take(client.krakenCalls, quota, krakenQuotaWindow, calls, now);
+
+    res.set('X-Kraken-Quota-Remaining', String(Math.max(quota - total(client.krakenCalls), 0)));
+    if (retryAfter > 0) {
+      return reject(req, res, clientId, `Quota of ${quota} Kraken calls per ${krakenQuotaWindow / 1000}s exceeded`, retryAfter);
+    }
+    next();
+  };
+}
+
+// Usage per client (for the debug API)
+function getStatus() {
+  const { maxRequests, window, krakenQuota: quota, krakenQuotaWindow } = config.apiRateLimit;
+  const now = Date.now();
+  const usage = {};
+  for (const [clientId, client] of clients) {
+    prune(client.requests, window, now);
+    prune(client.krakenCalls, krakenQuotaWindow, now);
+    usage[clientId] = { requests: total(client.requests), krakenCalls: total(client.krakenCalls) };
+  }
+  return {
+    enabled: config.apiRateLimit.enabled,
+    maxRequests,
+    window,
+    krakenQuota: quota,
+    krakenQuotaWindow,
+    krakenShare: config.apiRateLimit.krakenShare,
+    clients: usage
+  };
+}
+
+module.exports = {
+  rateLimit,
+  krakenQuota,
+  getStatus
+};
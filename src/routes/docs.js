@@ -36,7 +36,18 @@ const swaggerDocument = {
           volume: { type: 'number', description: 'Trade volume', example: 0.17729314 },
           margin: { type: 'string', description: 'Margin information', example: '0.00000' },
           timestamp: { type: 'string', format: 'date-time', description: 'Trade timestamp', example: '2025-06-27T06:19:28.885Z' },
-          misc: { type: 'string', description: 'Additional trade information', example: '' }
+          misc: { type: 'string', description: 'Additional trade information', example: '' },
+          exact: { $ref: '#/components/schemas/ExactAmounts' }
+        }
+      },
+      ExactAmounts: {
+        type: 'object',
+        description: 'The numeric amounts as exact decimal strings',
+        properties: {
+          volume: { type: 'string', example: '0.17729314' },
+          price: { type: 'string', example: '141.09' },
+          cost: { type: 'string', example: '25.01429' },
+          fee: { type: 'string', example: '0.10006' }
         }
       },
       Order: {
@@ -51,16 +62,35 @@ const swaggerDocument = {
           fee: { type: 'number', description: 'Order fee', example: 0.10006 },
           timestamp: { type: 'string', format: 'date-time', description: 'Order creation timestamp', example: '2025-06-27T06:19:25.477Z' },
           closeTime: { type: 'string', format: 'date-time', description: 'Order close timestamp', example: '2025-06-27T06:19:28.489Z' },
+          exact: { $ref: '#/components/schemas/ExactAmounts' },
           trades: { type: 'array', items: { $ref: '#/components/schemas/Trade' } }
         }
       },
       AutoSellStatus: {
         type: 'object',
         properties: {
-          status: { type: 'string', description: 'Service status', example: 'running' },
+          status: { type: 'string', description: 'Service status (paused while all assets are paused or the risk guard is tripped)', enum: ['running', 'paused'], example: 'running' },
+          paused: { type: 'boolean', description: 'Whether auto-sell is paused for all assets', example: false },
+          pausedReason: { type: 'string', nullable: true, description: 'Why auto-sell is paused', example: null },
+          pausedAssets: { type: 'object', description: 'Assets paused on their own, with reason and time', example: {} },
+          riskGuard: {
+            type: 'object',
+            properties: {
+              tripped: { type: 'boolean', example: false },
+              trip: { type: 'object', nullable: true, description: 'Reason, order and limit that tripped the guard' },
+              limits: { type: 'object' },
+              usage: {
+                type: 'object',
+                properties: {
+                  notionalLastDay: { type: 'number', example: 1250.4 },
+                  ordersLastHour: { type: 'integer', example: 3 }
+                }
+              }
+            }
+          },
           timestamp: { type: 'string', format: 'date-time', description: 'Status timestamp', example: '2025-06-27T06:19:44.881Z' },
           initialProcessingComplete: { type: 'boolean', description: 'Whether initial balance processing is complete', example: true },
-          currentBalances: { type: 'object', description: 'Current account balances', example: { 'SOL': '0', 'TRUMP': '0', 'USDC': '0', 'USDT': '0', 'XETH': '0', 'XXBT': '0', 'XXDG': '12.00427438', 'ZUSD': '181.9629' } },
+          currentBalances: { type: 'object', description: 'Current account balances, keyed by standard asset name', example: { 'SOL': '0', 'TRUMP': '0', 'USDC': '0', 'USDT': '0', 'ETH': '0', 'BTC': '0', 'DOGE': '12.00427438', 'USD': '181.9629' } },
           websocket: {
             type: 'object',
             properties: {
@@ -70,6 +100,62 @@ const swaggerDocument = {
           }
         }
       },
+      Withdrawal: {
+        type: 'object',
+        properties: {
+          refid: { type: 'string', description: 'Kraken reference ID, or a pending-… ID while the Withdraw call is in doubt', example: 'FTQcuak-V6Za8qrWnhzTx67yYHz8Tg' },
+          asset: { type: 'string', example: 'USD' },
+          key: { type: 'string', example: 'my-bank' },
+          amount: { type: 'number', example: 250 },
+          amountExact: { type: 'string', example: '250.00' },
+          method: { type: 'string', example: 'Bank Frick (SWIFT)' },
+          fee: { type: 'string', example: '5.00' },
+          status: { type: 'string', enum: ['Requested', 'Initial', 'Pending', 'Settled', 'Success', 'Failure'], example: 'Success' },
+          statusProp: { type: 'string', nullable: true, example: null },
+          txid: { type: 'string', nullable: true },
+          source: { type: 'string', example: 'order_OQCLML-BW3P3-BUCMWZ' },
+          requestedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Pair: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', example: 'XXBTZUSD' },
+          altname: { type: 'string', example: 'XBTUSD' },
+          wsname: { type: 'string', example: 'XBT/USD' },
+          base: { type: 'string', example: 'BTC' },
+          quote: { type: 'string', example: 'USD' },
+          baseCode: { type: 'string', example: 'XXBT' },
+          quoteCode: { type: 'string', example: 'ZUSD' },
+          status: { type: 'string', example: 'online' },
+          ordermin: { type: 'number', example: 0.0001 },
+          costmin: { type: 'number', example: 0.5 },
+          lotDecimals: { type: 'integer', example: 8 },
+          pairDecimals: { type: 'integer', example: 1 },
+          tickSize: { type: 'string', example: '0.1' },
+          takerFeePercent: { type: 'number', example: 0.4 }
+        }
+      },
+      TwapExecution: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'TWAP-3F2A9C1B7E4D' },
+          asset: { type: 'string', example: 'SOL' },
+          pair: { type: 'string', example: 'SOLUSD' },
+          totalVolume: { type: 'number', example: 25 },
+          sliceCount: { type: 'integer', example: 5 },
+          status: { type: 'string', enum: ['running', 'completed', 'partial', 'halted'], example: 'running' },
+          children: { type: 'array', items: { type: 'object' } },
+          progress: {
+            type: 'object',
+            properties: {
+              filledVolume: { type: 'number', example: 10 },
+              remainingVolume: { type: 'number', example: 15 },
+              averagePrice: { type: 'number', example: 141.09 }
+            }
+          }
+        }
+      },
       HealthStatus: {
         type: 'object',
         properties: {
@@ -102,7 +188,9 @@ const swaggerDocument = {
         type: 'object',
         properties: {
           error: { type: 'string', description: 'Error type', example: 'Order not found' },
-          message: { type: 'string', description: 'Detailed error message', example: 'The specified order was not found in the system' }
+          message: { type: 'string', description: 'Detailed error message', example: 'The specified order was not found in the system' },
+          retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (429 and throttled 503 responses)', example: 5 },
+          krakenCode: { type: 'string', description: 'Kraken error code behind a failed Kraken call (502/503 responses)', example: 'EService:Unavailable' }
         }
       },
       Balance: {
@@ -123,9 +211,54 @@ const swaggerDocument = {
           availableAssets: { type: 'array', items: { type: 'string' }, description: 'List of available assets', example: ['SOL', 'TRUMP', 'USDC', 'USDT', 'XETH', 'XXBT', 'XXDG', 'XXRP', 'ZUSD'] },
           timestamp: { type: 'string', format: 'date-time', description: 'Response timestamp', example: '2025-07-18T06:39:27.400Z' }
         }
+      },
+      Approval: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'APR-3F9A1C0B7E2D' },
+          asset: { type: 'string', example: 'BTC' },
+          amount: { type: 'number', description: 'Amount to sell once approved', example: 1.5 },
+          depositAmount: { type: 'number', example: 1.5 },
+          fiatValue: { type: 'number', nullable: true, description: 'Deposit value in the target fiat when it was held', example: 90000 },
+          thresholdNotional: { type: 'number', example: 10000 },
+          status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'], example: 'pending' },
+          requiredApprovals: { type: 'integer', example: 2 },
+          defaultAction: { type: 'string', enum: ['approve', 'reject'], description: 'Action taken when the request expires', example: 'reject' },
+          decisions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['approve', 'reject', 'release'] },
+                by: { type: 'string', description: 'Approver, or system for an expiry', example: 'alice' },
+                comment: { type: 'string', nullable: true },
+                at: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
+          sell: { type: 'boolean', description: 'Whether the sale went ahead once resolved' },
+          sold: { type: 'boolean', description: 'Whether an order was placed for an approved sale' },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+          releasedAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the amount of a request that was not sold was released' },
+          releasedBy: { type: 'string', nullable: true, example: 'alice' }
+        }
+      },
+      ControlAsset: {
+        type: 'object',
+        properties: {
+          asset: { type: 'string', description: 'Asset to act on (omit for all assets)', example: 'BTC' },
+          reason: { type: 'string', description: 'Reason reported in the status (pause only)', example: 'maintenance' }
+        }
       }
+    },
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key from API_KEYS. Keys with a secret must also send X-API-Timestamp and X-API-Signature (HMAC-SHA256 of timestamp + method + path + body).' }
     }
   },
+  // Every endpoint needs an API key (read-only role unless noted) except health and docs
+  security: [{ apiKey: [] }],
   paths: {
     '/api/trades/{txid}': {
       get: {
@@ -158,6 +291,14 @@ const swaggerDocument = {
               }
             }
           },
+          429: {
+            description: 'Client rate limit or Kraken quota exceeded, or no Kraken capacity left for API requests (see the Retry-After header)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
           500: {
             description: 'Internal server error',
             content: {
@@ -165,6 +306,22 @@ const swaggerDocument = {
                 schema: { $ref: '#/components/schemas/Error' }
               }
             }
+          },
+          502: {
+            description: 'Kraken rejected the request (see krakenCode)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          503: {
+            description: 'Kraken is unavailable or throttling the bot (see krakenCode and Retry-After)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
           }
         }
       }
@@ -213,6 +370,14 @@ const swaggerDocument = {
               }
             }
           },
+          429: {
+            description: 'Client rate limit or Kraken quota exceeded (each txid counts as two Kraken calls), or no Kraken capacity left for API requests (see the Retry-After header)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
           500: {
             description: 'Internal server error',
             content: {
@@ -220,6 +385,22 @@ const swaggerDocument = {
                 schema: { $ref: '#/components/schemas/Error' }
               }
             }
+          },
+          502: {
+            description: 'Kraken rejected the request (see krakenCode)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          503: {
+            description: 'Kraken is unavailable or throttling the bot (see krakenCode and Retry-After)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
           }
         }
       }
@@ -240,6 +421,469 @@ const swaggerDocument = {
         }
       }
     },
+    '/api/auto-sell/balances': {
+      get: {
+        summary: 'Get current balances',
+        description: 'Current balances, split into spot balances and staking/earn balances classified as locked (.S), bonded (.B) or flexible (.F, .M), plus the auto-unstake state.',
+        responses: {
+          200: {
+            description: 'Balances retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    balances: { type: 'object', description: 'Raw balances as received' },
+                    spot: { type: 'object', example: { BTC: '0', USD: '181.9629' } },
+                    earn: {
+                      type: 'object',
+                      properties: {
+                        locked: { type: 'object', example: { 'DOT.S': '12.5' } },
+                        flexible: { type: 'object', example: { 'ETH.F': '0.2' } },
+                        bonded: { type: 'object', example: {} }
+                      }
+                    },
+                    autoUnstake: {
+                      type: 'object',
+                      properties: {
+                        enabled: { type: 'boolean', example: false },
+                        unstakes: { type: 'array', items: { type: 'object' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auto-sell/queue': {
+      get: {
+        summary: 'Get auto-sell work queue status',
+        description: 'Work is serialized per asset while different assets are processed concurrently. Returns the queue depth per asset and the jobs currently running.',
+        responses: {
+          200: {
+            description: 'Queue status retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    queue: {
+                      type: 'object',
+                      properties: {
+                        maxConcurrency: { type: 'integer', example: 3 },
+                        running: { type: 'integer', example: 1 },
+                        queued: { type: 'integer', example: 2 },
+                        depthByKey: { type: 'object', example: { SOL: 2 } },
+                        inFlight: { type: 'array', items: { type: 'object' } },
+                        completed: { type: 'integer', example: 42 },
+                        failed: { type: 'integer', example: 0 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auto-sell/executions': {
+      get: {
+        summary: 'List TWAP executions',
+        description: 'Lists sliced (TWAP) sale executions, newest first, with their child orders and aggregate progress (filled, remaining, average price).',
+        responses: {
+          200: {
+            description: 'Executions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer', example: 1 },
+                    executions: { type: 'array', items: { $ref: '#/components/schemas/TwapExecution' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auto-sell/executions/{id}': {
+      get: {
+        summary: 'Get a TWAP execution',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Execution ID',
+            example: 'TWAP-3F2A9C1B7E4D'
+          }
+        ],
+        responses: {
+          200: { description: 'Execution retrieved successfully' },
+          404: { description: 'Execution not found' }
+        }
+      }
+    },
+    '/api/auto-sell/orders/{txid}/history': {
+      get: {
+        summary: 'Get the attempt history of a sale',
+        description: 'Returns the first order of the sale containing this transaction and, nested under `children`, every re-sell of its residual. Each attempt carries its reconciliation: the balance re-read after the order terminated, the true residual and the outcome (`complete`, `resell`, `dust`, `max_attempts` or `rejected`).',
+        parameters: [
+          {
+            name: 'txid',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Transaction ID of any attempt in the sale',
+            example: 'OQCLML-BW3P3-BUCMWZ'
+          }
+        ],
+        responses: {
+          200: { description: 'Attempt history retrieved successfully' },
+          404: { description: 'Order not found' }
+        }
+      }
+    },
+    '/api/auto-sell/routes': {
+      get: {
+        summary: 'List multi-hop route sales',
+        description: 'Lists sales of assets without a direct pair to the target fiat, executed through an intermediate asset (e.g. asset→BTC→USD). Each sale lists its legs with order IDs, filled volume, cost and fee, and the final proceeds in the target fiat.',
+        responses: {
+          200: { description: 'Route sales retrieved successfully' }
+        }
+      }
+    },
+    '/api/auto-sell/routes/{id}': {
+      get: {
+        summary: 'Get a multi-hop route sale',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Route sale ID',
+            example: 'ROUTE-9C41E07B2AF3'
+          }
+        ],
+        responses: {
+          200: { description: 'Route sale retrieved successfully' },
+          404: { description: 'Route sale not found' }
+        }
+      }
+    },
+    '/api/auto-sell/dust': {
+      get: {
+        summary: 'Get dust balances',
+        description: 'Lists per-asset residues below Kraken\'s minimum order size with their estimated value in the target fiat, and the state of the scheduled dust sweep.',
+        responses: {
+          200: { description: 'Dust report retrieved successfully' },
+          500: {
+            description: 'Internal server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/pairs': {
+      get: {
+        summary: 'List trading pairs',
+        description: 'Lists the pair index built from Kraken AssetPairs. Base and quote accept any name of an asset (e.g. BTC, XBT or XXBT). Only pairs with status `online` are ever traded by the bot.',
+        parameters: [
+          { name: 'base', in: 'query', required: false, schema: { type: 'string' }, description: 'Base asset', example: 'BTC' },
+          { name: 'quote', in: 'query', required: false, schema: { type: 'string' }, description: 'Quote asset', example: 'USD' },
+          { name: 'status', in: 'query', required: false, schema: { type: 'string', enum: ['online', 'cancel_only', 'post_only', 'limit_only', 'reduce_only'] }, description: 'Pair status' },
+          { name: 'tradable', in: 'query', required: false, schema: { type: 'string', enum: ['true', 'false'] }, description: 'Only pairs that accept orders' }
+        ],
+        responses: {
+          200: {
+            description: 'Pairs retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer' },
+                    filters: { type: 'object' },
+                    pairs: { type: 'array', items: { $ref: '#/components/schemas/Pair' } }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid filter' }
+        }
+      }
+    },
+    '/api/pairs/{pair}': {
+      get: {
+        summary: 'Get a trading pair',
+        parameters: [
+          {
+            name: 'pair',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Pair key, altname or (URL-encoded) wsname',
+            example: 'XXBTZUSD'
+          }
+        ],
+        responses: {
+          200: { description: 'Pair retrieved successfully' },
+          404: { description: 'Pair not found' }
+        }
+      }
+    },
+    '/api/withdrawals': {
+      get: {
+        summary: 'List fiat withdrawals',
+        description: 'Withdrawals made to the configured withdrawal key after sales settled, newest first, with their WithdrawStatus state and the limits in effect.',
+        responses: {
+          200: {
+            description: 'Withdrawals retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    config: { type: 'object' },
+                    count: { type: 'integer' },
+                    withdrawals: { type: 'array', items: { $ref: '#/components/schemas/Withdrawal' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/withdrawals/{refid}': {
+      get: {
+        summary: 'Get a withdrawal',
+        parameters: [
+          { name: 'refid', in: 'path', required: true, schema: { type: 'string' }, description: 'Kraken withdrawal reference ID', example: 'FTQcuak-V6Za8qrWnhzTx67yYHz8Tg' }
+        ],
+        responses: {
+          200: { description: 'Withdrawal retrieved successfully' },
+          404: { description: 'Withdrawal not found' }
+        }
+      }
+    },
+    '/api/approvals': {
+      get: {
+        summary: 'List sale requests held for approval',
+        description: 'Deposits worth more than APPROVAL_THRESHOLD_NOTIONAL are not sold automatically; a pending request is created instead.',
+        parameters: [
+          { name: 'status', in: 'query', required: false, schema: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'] }, description: 'Request status' }
+        ],
+        responses: {
+          200: {
+            description: 'Requests retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    config: { type: 'object' },
+                    count: { type: 'integer' },
+                    approvals: { type: 'array', items: { $ref: '#/components/schemas/Approval' } }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid status' }
+        }
+      }
+    },
+    '/api/approvals/{id}': {
+      get: {
+        summary: 'Get a sale request held for approval',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: 'APR-3F9A1C0B7E2D' }
+        ],
+        responses: {
+          200: { description: 'Request retrieved successfully' },
+          404: { description: 'Request not found' }
+        }
+      }
+    },
+    '/api/approvals/{id}/approve': {
+      post: {
+        summary: 'Approve a held sale',
+        description: 'Requires the operator role. Records an approval. The sale goes ahead once APPROVAL_REQUIRED_APPROVALS different approvers have approved.',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: 'APR-3F9A1C0B7E2D' }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  approver: { type: 'string', description: 'Only used with authentication disabled; otherwise the API key ID is recorded', example: 'alice' },
+                  comment: { type: 'string', example: 'Expected OTC deposit' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Approval recorded' },
+          400: { description: 'Request not pending, or approver already approved' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' },
+          404: { description: 'Request not found' }
+        }
+      }
+    },
+    '/api/approvals/{id}/reject': {
+      post: {
+        summary: 'Reject a held sale',
+        description: 'Requires the operator role. Rejects a pending request; the deposit is left unsold and held back from other sales until the request is released.',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: 'APR-3F9A1C0B7E2D' }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  approver: { type: 'string', description: 'Only used with authentication disabled; otherwise the API key ID is recorded', example: 'bob' },
+                  comment: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Request rejected' },
+          400: { description: 'Request not pending' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' },
+          404: { description: 'Request not found' }
+        }
+      }
+    },
+    '/api/approvals/{id}/release': {
+      post: {
+        summary: 'Release a rejected sale',
+        description: 'Requires the operator role. Releases the amount of a rejected request (or one that expired without a sale), so it is sold like the rest of the balance on the next deposit or resume.',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: 'APR-3F9A1C0B7E2D' }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  approver: { type: 'string', description: 'Only used with authentication disabled; otherwise the API key ID is recorded', example: 'bob' },
+                  comment: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Request released' },
+          400: { description: 'Request holds nothing to release' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' },
+          404: { description: 'Request not found' }
+        }
+      }
+    },
+    '/api/control/pause': {
+      post: {
+        summary: 'Pause auto-selling',
+        description: 'Requires the operator role. Pauses all assets, or a single asset. Pauses are persisted and survive restarts.',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ControlAsset' } } }
+        },
+        responses: {
+          200: { description: 'Auto-sell paused' },
+          400: { description: 'Invalid asset' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' }
+        }
+      }
+    },
+    '/api/control/resume': {
+      post: {
+        summary: 'Resume auto-selling',
+        description: 'Requires the operator role. Resumes all assets (clearing every pause and resetting a tripped risk guard), or a single asset. Current balances of the resumed assets are then processed through the sell policy.',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ControlAsset' } } }
+        },
+        responses: {
+          200: { description: 'Auto-sell resumed' },
+          400: { description: 'Invalid asset' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' }
+        }
+      }
+    },
+    '/api/control/sell': {
+      post: {
+        summary: 'Sell an asset manually',
+        description: 'Requires the operator role. Sells an amount of an asset, or its whole balance, through the normal sell path. Bypasses the sell policy and pauses, not the risk guard.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['asset'],
+                properties: {
+                  asset: { type: 'string', example: 'XDG' },
+                  amount: { type: 'number', description: 'Amount to sell (default: whole balance)', example: 12.5 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Sell processed; `sold` tells whether an order was placed' },
+          400: { description: 'Invalid asset or amount, or no balance to sell' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' }
+        }
+      }
+    },
+    '/api/control/orders/{txid}/cancel': {
+      post: {
+        summary: 'Cancel a bot-placed order',
+        description: 'Requires the operator role. Cancels an open order placed by the bot. The unfilled rest is not re-sold.',
+        parameters: [
+          { name: 'txid', in: 'path', required: true, schema: { type: 'string' }, description: 'Order transaction ID', example: 'OQCLML-BW3P3-BUCMWZ' }
+        ],
+        responses: {
+          200: { description: 'Cancel requested' },
+          400: { description: 'Order is not open' },
+          401: { description: 'Missing or invalid API key' },
+          403: { description: 'Operator role required' },
+          404: { description: 'Order not found' }
+        }
+      }
+    },
     '/api/balance/{asset}': {
       get: {
         summary: 'Get current balance for a specific asset',
@@ -285,6 +929,7 @@ const swaggerDocument = {
     '/api/health': {
       get: {
         summary: 'Health check for the unified service',
+        security: [],
         description: 'Performs a comprehensive health check of all service components, including API connectivity and auto-sell service status.',
         responses: {
           200: {
@@ -379,6 +1024,7 @@ const swaggerDocument = {
       get: {
         summary: 'API Documentation (Swagger UI)',
         description: 'Interactive API documentation and testing interface. Provides a web-based interface for exploring and testing all API endpoints.',
+        security: [],
         responses: {
           200: { description: 'Swagger UI interface' }
         }
@@ -388,6 +1034,7 @@ const swaggerDocument = {
       get: {
         summary: 'OpenAPI Specification',
         description: 'Returns the OpenAPI specification in JSON format for programmatic access.',
+        security: [],
         responses: {
           200: {
             description: 'OpenAPI specification',
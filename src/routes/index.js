@@ -2,14 +2,23 @@ const express = require('express');
 const router = express.Router();
 const tradeController = require('../controllers/tradeController');
 const autoSellController = require('../controllers/autoSellController');
+const pairController = require('../controllers/pairController');
+const withdrawalController = require('../controllers/withdrawalController');
+const controlController = require('../controllers/controlController');
+const approvalController = require('../controllers/approvalController');
+const { Roles, requireRole } = require('../middleware/auth');
+const { krakenQuota, getStatus: getInboundRateLimitStatus } = require('../middleware/rateLimit');
 const autoSellService = require('../services/autoSellService');
 const krakenService = require('../services/krakenService');
+const assetRegistry = require('../services/assetRegistry');
+const pairIndex = require('../services/pairIndex');
+const nonceManager = require('../services/nonceManager');
 const logger = require('../utils/logger');
 const { validateAsset, handleValidationError } = require('../utils/validation');
 const { sendErrorResponse, sendSuccessResponse, createNotFoundError, createInternalError } = require('../utils/errorHandler');
 const docsRouter = require('./docs');
 
-// Health check
+// Health check (public)
 router.get('/health', (req, res) => {
   sendSuccessResponse(res, {
     status: 'ok',
@@ -18,7 +27,7 @@ router.get('/health', (req, res) => {
 });
 
 // Root API endpoint - provide overview
-router.get('/', (req, res) => {
+router.get('/', requireRole(Roles.READ_ONLY), (req, res) => {
   sendSuccessResponse(res, {
     message: 'Kraken Auto-Trade Bot API',
     version: '1.0.0',
@@ -27,36 +36,133 @@ router.get('/', (req, res) => {
       {
         path: '/api/health',
         method: 'GET',
+        role: 'public',
         description: 'Health check endpoint'
       },
       {
         path: '/api/trades/{txid}',
         method: 'GET',
+        role: 'read-only',
         description: 'Get trade details by transaction ID'
       },
       {
         path: '/api/trades/batch',
         method: 'POST',
+        role: 'read-only',
         description: 'Get multiple trade details'
       },
       {
         path: '/api/auto-sell/status',
         method: 'GET',
+        role: 'read-only',
         description: 'Get auto-sell service status'
       },
       {
         path: '/api/auto-sell/balances',
         method: 'GET',
-        description: 'Get current balances'
+        role: 'read-only',
+        description: 'Get current balances, with staking/earn balances reported separately'
+      },
+      {
+        path: '/api/auto-sell/executions',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get TWAP executions and their progress'
+      },
+      {
+        path: '/api/auto-sell/queue',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get per-asset work queue depth and in-flight jobs'
+      },
+      {
+        path: '/api/auto-sell/orders/{txid}/history',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get the attempt history of a sale'
+      },
+      {
+        path: '/api/auto-sell/dust',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get dust balances below the minimum order size'
+      },
+      {
+        path: '/api/auto-sell/routes',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get multi-hop route sales'
       },
       {
         path: '/api/balance/{asset}',
         method: 'GET',
+        role: 'read-only',
         description: 'Get balance for specific asset'
       },
+      {
+        path: '/api/pairs',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get trading pairs and their status (filter by base, quote, status, tradable)'
+      },
+      {
+        path: '/api/withdrawals',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get fiat withdrawals and their status'
+      },
+      {
+        path: '/api/approvals',
+        method: 'GET',
+        role: 'read-only',
+        description: 'Get sale requests of large deposits held for approval'
+      },
+      {
+        path: '/api/approvals/{id}/approve',
+        method: 'POST',
+        role: 'operator',
+        description: 'Approve a held sale'
+      },
+      {
+        path: '/api/approvals/{id}/reject',
+        method: 'POST',
+        role: 'operator',
+        description: 'Reject a held sale'
+      },
+      {
+        path: '/api/approvals/{id}/release',
+        method: 'POST',
+        role: 'operator',
+        description: 'Release the amount of a rejected sale'
+      },
+      {
+        path: '/api/control/pause',
+        method: 'POST',
+        role: 'operator',
+        description: 'Pause auto-selling for all assets or one asset'
+      },
+      {
+        path: '/api/control/resume',
+        method: 'POST',
+        role: 'operator',
+        description: 'Resume auto-selling for all assets or one asset'
+      },
+      {
+        path: '/api/control/sell',
+        method: 'POST',
+        role: 'operator',
+        description: 'Manually sell an asset or amount'
+      },
+      {
+        path: '/api/control/orders/{txid}/cancel',
+        method: 'POST',
+        role: 'operator',
+        description: 'Cancel an open bot-placed order'
+      },
       {
         path: '/api/docs',
         method: 'GET',
+        role: 'public',
         description: 'Interactive API documentation'
       }
     ],
@@ -65,10 +171,10 @@ router.get('/', (req, res) => {
 });
 
 // Debug endpoint to check BTC balance
-router.get('/debug/balance/:asset', async (req, res) => {
+router.get('/debug/balance/:asset', requireRole(Roles.ADMIN, 'debug'), krakenQuota(1), async (req, res) => {
   try {
     const asset = validateAsset(req.params.asset);
-    const balanceInfo = await krakenService.checkBalanceForAsset(asset);
+    const balanceInfo = await krakenService.checkBalanceForAsset(asset, { client: true });
     sendSuccessResponse(res, {
       asset,
       balanceInfo
@@ -76,6 +182,14 @@ router.get('/debug/balance/:asset', async (req, res) => {
   } catch (error) {
     if (error.type === 'Validation Error') {
       handleValidationError(error, req, res);
+    } else if (error.type === 'Rate Limit Exceeded') {
+      sendErrorResponse(res, error, {
+        endpoint: req.path,
+        method: req.method,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        params: req.params
+      });
     } else {
       const internalError = createInternalError('Failed to check balance for asset', error.message);
       sendErrorResponse(res, internalError, {
@@ -90,18 +204,19 @@ router.get('/debug/balance/:asset', async (req, res) => {
 });
 
 // Debug endpoint to check available pairs for an asset
-router.get('/debug/pairs/:asset', async (req, res) => {
+router.get('/debug/pairs/:asset', requireRole(Roles.ADMIN, 'debug'), async (req, res) => {
   try {
     const asset = validateAsset(req.params.asset);
     const pairs = krakenService.getTradablePairs();
-    const assetPairs = pairs.filter(p => p.includes(asset));
+    const assetPairs = pairIndex.findPairs({ base: asset }).map(pair => pair.key);
     const hasMarketPair = krakenService.hasMarketPair(asset);
-    const marketPair = krakenService.getMarketPair(asset);
+    const directPair = krakenService.resolveMarketPair(asset);
     
     sendSuccessResponse(res, {
       asset,
       hasMarketPair,
-      marketPair,
+      marketPair: directPair?.key || null,
+      marketPairStatus: directPair?.status || null,
       availablePairs: assetPairs,
       totalPairs: pairs.length
     });
@@ -122,11 +237,12 @@ router.get('/debug/pairs/:asset', async (req, res) => {
 });
 
 // Debug endpoint to check rate limiter status
-router.get('/debug/rate-limiter', (req, res) => {
+router.get('/debug/rate-limiter', requireRole(Roles.ADMIN, 'debug'), (req, res) => {
   try {
     const rateLimiterStatus = krakenService.rateLimiter.getStatus();
     sendSuccessResponse(res, {
-      rateLimiter: rateLimiterStatus
+      rateLimiter: rateLimiterStatus,
+      inbound: getInboundRateLimitStatus()
     });
   } catch (error) {
     const internalError = createInternalError('Failed to get rate limiter status', error.message);
@@ -139,12 +255,41 @@ router.get('/debug/rate-limiter', (req, res) => {
   }
 });
 
-// Trade routes
-router.get('/trades/:txid', tradeController.getTrade);
-router.post('/trades/batch', tradeController.getBatchTrades);
+// Debug endpoint to check the nonce manager
+router.get('/debug/nonce', requireRole(Roles.ADMIN, 'debug'), (req, res) => {
+  sendSuccessResponse(res, {
+    nonce: nonceManager.getStatus()
+  });
+});
+
+// Trading pair routes
+router.get('/pairs', requireRole(Roles.READ_ONLY, 'pairs'), pairController.getPairs);
+router.get('/pairs/:pair', requireRole(Roles.READ_ONLY, 'pairs'), pairController.getPair);
+
+// Withdrawal routes
+router.get('/withdrawals', requireRole(Roles.READ_ONLY, 'withdrawals'), withdrawalController.getWithdrawals);
+router.get('/withdrawals/:refid', requireRole(Roles.READ_ONLY, 'withdrawals'), withdrawalController.getWithdrawal);
+
+// Control routes (pause/resume, manual sell, cancel)
+router.post('/control/pause', requireRole(Roles.OPERATOR, 'control'), controlController.pause);
+router.post('/control/resume', requireRole(Roles.OPERATOR, 'control'), controlController.resume);
+router.post('/control/sell', requireRole(Roles.OPERATOR, 'control'), controlController.sell);
+router.post('/control/orders/:txid/cancel', requireRole(Roles.OPERATOR, 'control'), controlController.cancelOrder);
+
+// Approval routes (deciding requires the operator role)
+router.get('/approvals', requireRole(Roles.READ_ONLY, 'approvals'), approvalController.getApprovals);
+router.get('/approvals/:id', requireRole(Roles.READ_ONLY, 'approvals'), approvalController.getApproval);
+router.post('/approvals/:id/approve', requireRole(Roles.OPERATOR, 'approvals'), approvalController.approve);
+router.post('/approvals/:id/reject', requireRole(Roles.OPERATOR, 'approvals'), approvalController.reject);
+router.post('/approvals/:id/release', requireRole(Roles.OPERATOR, 'approvals'), approvalController.release);
+
+// Trade routes (up to two Kraken calls per order: QueryOrders and QueryTrades)
+const batchKrakenCalls = req => (Array.isArray(req.body?.txids) ? Math.min(req.body.txids.length, 20) * 2 : 0);
+router.get('/trades/:txid', requireRole(Roles.READ_ONLY, 'trades'), krakenQuota(2), tradeController.getTrade);
+router.post('/trades/batch', requireRole(Roles.READ_ONLY, 'trades'), krakenQuota(batchKrakenCalls), tradeController.getBatchTrades);
 
 // Handle trades endpoint with trailing slash
-router.get('/trades/', (req, res) => {
+router.get('/trades/', requireRole(Roles.READ_ONLY, 'trades'), (req, res) => {
   sendSuccessResponse(res, {
     message: 'Trade endpoints',
     availableEndpoints: [
@@ -163,15 +308,19 @@ router.get('/trades/', (req, res) => {
 });
 
 // Auto-sell routes
-router.get('/auto-sell/status', autoSellController.getStatus);
-router.get('/auto-sell/balances', (req, res) => {
-  sendSuccessResponse(res, {
-    balances: autoSellService.getCurrentBalances()
-  });
-});
+router.get('/auto-sell/status', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getStatus);
+router.get('/auto-sell/balances', requireRole(Roles.READ_ONLY, 'balances'), autoSellController.getBalances);
+
+router.get('/auto-sell/queue', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getQueue);
+router.get('/auto-sell/executions', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getExecutions);
+router.get('/auto-sell/executions/:id', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getExecution);
+router.get('/auto-sell/orders/:txid/history', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getOrderHistory);
+router.get('/auto-sell/dust', requireRole(Roles.READ_ONLY, 'auto-sell'), krakenQuota(1), autoSellController.getDust);
+router.get('/auto-sell/routes', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getRoutes);
+router.get('/auto-sell/routes/:id', requireRole(Roles.READ_ONLY, 'auto-sell'), autoSellController.getRoute);
 
 // Handle auto-sell endpoint with trailing slash
-router.get('/auto-sell/', (req, res) => {
+router.get('/auto-sell/', requireRole(Roles.READ_ONLY, 'auto-sell'), (req, res) => {
   sendSuccessResponse(res, {
     message: 'Auto-sell service endpoints',
     availableEndpoints: [
@@ -183,11 +332,36 @@ router.get('/auto-sell/', (req, res) => {
       {
         path: '/api/auto-sell/balances',
         method: 'GET',
-        description: 'Get current account balances'
+        description: 'Get current account balances, with staking/earn balances reported separately'
+      },
+      {
+        path: '/api/auto-sell/executions',
+        method: 'GET',
+        description: 'Get TWAP executions and their progress'
+      },
+      {
+        path: '/api/auto-sell/queue',
+        method: 'GET',
+        description: 'Get per-asset work queue depth and in-flight jobs'
+      },
+      {
+        path: '/api/auto-sell/orders/{txid}/history',
+        method: 'GET',
+        description: 'Get the attempt history (original order and re-sells) of a sale'
+      },
+      {
+        path: '/api/auto-sell/dust',
+        method: 'GET',
+        description: 'Get dust balances below the minimum order size and their fiat value'
+      },
+      {
+        path: '/api/auto-sell/routes',
+        method: 'GET',
+        description: 'Get multi-hop sales of assets without a direct fiat pair'
       }
     ],
     currentStatus: {
-      running: true,
+      running: !autoSellService.getPauseStatus().paused,
       initialProcessingComplete: autoSellService.isInitialProcessingComplete(),
       websocketConnected: require('../services/websocketService').isConnected()
     }
@@ -195,14 +369,15 @@ router.get('/auto-sell/', (req, res) => {
 });
 
 // Get current balance for a specific asset
-router.get('/balance/:asset', async (req, res) => {
+router.get('/balance/:asset', requireRole(Roles.READ_ONLY, 'balances'), async (req, res) => {
   try {
     const asset = validateAsset(req.params.asset);
     const currentBalances = autoSellService.getCurrentBalances();
     
-    // Try to find the asset in current balances (case-insensitive)
+    // Try to find the asset in current balances (case-insensitive, under any of its names)
+    const standardName = assetRegistry.getStandardName(asset);
     const assetKey = Object.keys(currentBalances).find(
-      key => key.toUpperCase() === asset.toUpperCase()
+      key => key.toUpperCase() === asset.toUpperCase() || assetRegistry.getStandardName(key) === standardName
     );
     
     if (!assetKey) {
@@ -244,7 +419,7 @@ router.get('/balance/:asset', async (req, res) => {
   }
 });
 
-// API documentation
+// API documentation (public)
 router.use('/docs', docsRouter);
 
 // Redirect /docs/ to /docs (handle trailing slash)
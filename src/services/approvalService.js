@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const routeService = require('./routeService');
+const stateStore = require('./stateStore');
+const { sendLogToApi } = require('../utils/helpers');
+const { createValidationError } = require('../utils/errorHandler');
+const { toDecimal, toAmountNumber, toAmountString, sumAmounts } = require('../utils/decimal');
+
+const ApprovalStatuses = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Holds the sale of large deposits until an operator (or two) approves it.
+// Requests expire after a timeout and then take the configured default action.
+// Every decision is kept in the state journal with who made it and when.
+class ApprovalService {
+  constructor() {
+    this.expiryTimers = new Map(); // id -> expiry timeout
+    this.onApproved = null; // called with the request once its sale may go ahead
+  }
+
+  isEnabled() {
+    return config.autoSell.approval.thresholdNotional > 0;
+  }
+
+  getDefaultAction() {
+    return config.autoSell.approval.defaultAction === 'approve' ? 'approve' : 'reject';
+  }
+
+  // Value of a deposit in the target fiat (a Decimal), through its direct pair
+  // or the best multi-hop route; null if it has no market at all
+  async valueDeposit(asset, amount) {
+    const pair = krakenService.resolveMarketPair(asset);
+    if (pair) {
+      const ticker = await krakenService.getTicker(pair.key);
+      return toDecimal(amount).times(toDecimal(ticker.bid));
+    }
+    const { route } = await routeService.findRoute(asset, amount);
+    return route ? toDecimal(route.estimatedProceeds) : null;
+  }
+
+  // Create a pending sale request if the deposit is worth more than the
+  // threshold; returns the request, or null if the sale can go ahead
+  async requestIfRequired(asset, sellAmount, depositAmount, details = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let fiatValue = null;
+    try {
+      fiatValue = await this.valueDeposit(asset, depositAmount);
+      if (fiatValue === null || fiatValue.lte(config.autoSell.approval.thresholdNotional)) {
+        return null;
+      }
+    } catch (err) {
+      // A deposit that cannot be valued is held rather than sold unchecked
+      logger.warn(`Could not value ${toAmountString(depositAmount)} ${asset} deposit, holding it for approval`, {
+        asset,
+        depositAmount: toAmountString(depositAmount),
+        error: err.message
+      });
+    }
+
+    return this.createRequest(asset, sellAmount, depositAmount, fiatValue, details);
+  }
+
+  async createRequest(asset, amount, depositAmount, fiatValue, details) {
+    const { thresholdNotional, requiredApprovals, timeout } = config.autoSell.approval;
+    const now = Date.now();
+    const request = {
+      id: `APR-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      asset,
+      amount: toAmountNumber(amount),
+      depositAmount: toAmountNumber(depositAmount),
+      fiatValue: fiatValue === null ? null : fiatValue.toNumber(),
+      thresholdNotional,
+      ledgerId: details.ledgerId || null,
+      refId: details.refId || null,
+      status: ApprovalStatuses.PENDING,
+      requiredApprovals: Math.max(requiredApprovals, 1),
+      defaultAction: this.getDefaultAction(),
+      decisions: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + timeout).toISOString(),
+      resolvedAt: null
+    };
+    stateStore.recordApproval(request.id, request);
+    this.scheduleExpiry(request);
+
+    logger.warn(`Sale of ${toAmountString(amount)} ${asset} held for approval (${request.id})`, {
+      id: request.id,
+      asset,
+      amount: request.amount,
+      depositAmount: request.depositAmount,
+      fiatValue: request.fiatValue,
+      thresholdNotional,
+      requiredApprovals: request.requiredApprovals,
+      expiresAt: request.expiresAt,
+      reason: 'approval_required'
+    });
+
+    if (config.logging.api.enabled) {
+      try {
+        await sendLogToApi({
+          eventType: 'alert',
+          alertType: 'approval_required',
+          timestamp: request.createdAt,
+          approvalId: request.id,
+          asset,
+          amount: request.amount,
+          depositAmount: request.depositAmount,
+          fiatValue: request.fiatValue,
+          expiresAt: request.expiresAt
+        });
+      } catch (err) {
+        logger.error('Failed to send alert to API', { error: err.message });
+      }
+    }
+
+    return request;
+  }
+
+  // Whether a request keeps its amount from being sold: while it is pending,
+  // and after it was rejected (or expired without a sale) until it is released
+  isHolding(request) {
+    return request.status === ApprovalStatuses.PENDING || (request.sell === false && !request.releasedAt);
+  }
+
+  // Amount of an asset held back by requests (a Decimal; not to be sold meanwhile)
+  getHeldAmount(asset) {
+    return sumAmounts(this.getApprovals()
+      .filter(request => request.asset === asset && this.isHolding(request))
+      .map(request => request.amount));
+  }
+
+  // Record an approval; the sale goes ahead once enough distinct approvers agreed.
+  // Returns null for an unknown request, throws if it is not pending or the
+  // approver already approved it.
+  approve(id, approver, comment = null) {
+    const request = this.getPendingRequest(id);
+    if (!request) {
+      return null;
+    }
+    if (request.decisions.some(decision => decision.action === 'approve' && decision.by === approver)) {
+      throw createValidationError(`${approver} has already approved ${id}; a different approver is required`, 'approver');
+    }
+
+    const decisions = [...request.decisions, this.decision('approve', approver, comment)];
+    const approvals = decisions.filter(decision => decision.action === 'approve').length;
+    if (approvals < request.requiredApprovals) {
+      stateStore.recordApproval(id, { decisions });
+      logger.info(`Approval ${id} approved by ${approver} (${approvals}/${request.requiredApprovals})`, { id, approver });
+      return this.getApproval(id);
+    }
+
+    return this.resolve(request, ApprovalStatuses.APPROVED, decisions);
+  }
+
+  // Reject a pending request; the deposit is left unsold until the request is released
+  reject(id, approver, comment = null) {
+    const request = this.getPendingRequest(id);
+    if (!request) {
+      return null;
+    }
+    return this.resolve(request, ApprovalStatuses.REJECTED, [...request.decisions, this.decision('reject', approver, comment)]);
+  }
+
+  // Release the amount of a request that was not sold, so it is sold like the
+  // rest of the balance again (on the next deposit or resume)
+  release(id, operator, comment = null) {
+    const request = this.getApproval(id);
+    if (!request) {
+      return null;
+    }
+    if (request.status === ApprovalStatuses.PENDING || !this.isHolding(request)) {
+      throw createValidationError(`Approval request ${id} is ${request.status} and holds nothing to release`, 'id');
+    }
+
+    stateStore.recordApproval(id, {
+      decisions: [...request.decisions, this.decision('release', operator, comment)],
+      releasedAt: new Date().toISOString(),
+      releasedBy: operator
+    });
+    logger.warn(`Approval ${id} released by ${operator}: ${request.amount} ${request.asset} may be sold again`, {
+      id,
+      asset: request.asset,
+      amount: request.amount,
+      releasedBy: operator
+    });
+    return this.getApproval(id);
+  }
+
+  // Apply the default action to a request nobody decided on in time
+  expire(id) {
+    const request = this.getApproval(id);
+    if (!request || request.status !== ApprovalStatuses.PENDING) {
+      return null;
+    }
+    const decision = this.decision(request.defaultAction, 'system', 'expired');
+    return this.resolve(request, ApprovalStatuses.EXPIRED, [...request.decisions, decision]);
+  }
+
+  decision(action, by, comment) {
+    return { action, by, comment, at: new Date().toISOString() };
+  }
+
+  getPendingRequest(id) {
+    const request = this.getApproval(id);
+    if (!request) {
+      return null;
+    }
+    if (request.status !== ApprovalStatuses.PENDING) {
+      throw createValidationError(`Approval request ${id} is already ${request.status}`, 'id');
+    }
+    return request;
+  }
+
+  // Finalize a request and let the sale go ahead if it was approved (or expired with approve as default)
+  resolve(request, status, decisions) {
+    this.clearExpiry(request.id);
+    const sell = status === ApprovalStatuses.APPROVED ||
+      (status === ApprovalStatuses.EXPIRED && request.defaultAction === 'approve');
+
+    stateStore.recordApproval(request.id, {
+      status,
+      decisions,
+      sell,
+      resolvedAt: new Date().toISOString()
+    });
+    const resolved = this.getApproval(request.id);
+
+    logger.warn(`Approval ${request.id} ${status}: ${sell ? 'selling' : 'not selling'} ${request.amount} ${request.asset}`, {
+      id: request.id,
+      asset: request.asset,
+      amount: request.amount,
+      status,
+      decidedBy: decisions[decisions.length - 1].by
+    });
+
+    if (sell && this.onApproved) {
+      Promise.resolve(this.onApproved(resolved)).catch(err => {
+        logger.error(`Sale of approved request ${request.id} failed`, { error: err.message });
+      });
+    }
+    return resolved;
+  }
+
+  // Record the outcome of an approved sale
+  recordSale(id, sold) {
+    stateStore.recordApproval(id, { sold, soldAt: new Date().toISOString() });
+  }
+
+  // Timers cannot wait longer than MAX_TIMER_DELAY (longer delays fire at
+  // once), so a distant expiry is re-armed in chunks
+  scheduleExpiry(request) {
+    const delay = Math.max(Date.parse(request.expiresAt) - Date.now(), 0);
+    if (delay > MAX_TIMER_DELAY) {
+      this.expiryTimers.set(request.id, setTimeout(() => this.scheduleExpiry(request), MAX_TIMER_DELAY));
+      return;
+    }
+    this.expiryTimers.set(request.id, setTimeout(() => {
+      this.expiryTimers.delete(request.id);
+      this.expire(request.id);
+    }, delay));
+  }
+
+  clearExpiry(id) {
+    clearTimeout(this.expiryTimers.get(id));
+    this.expiryTimers.delete(id);
+  }
+
+  // Re-arm the expiry of requests still pending after a restart (overdue ones expire right away)
+  restore() {
+    const pending = this.getApprovals({ status: ApprovalStatuses.PENDING });
+    for (const request of pending) {
+      this.scheduleExpiry(request);
+    }
+    return pending.length;
+  }
+
+  getApproval(id) {
+    return stateStore.getApproval(id);
+  }
+
+  // List requests, newest first, optionally filtered by status
+  getApprovals({ status } = {}) {
+    return stateStore.getApprovals()
+      .filter(request => !status || request.status === status)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  // Configuration in effect (for the API)
+  getConfig() {
+    const { thresholdNotional, requiredApprovals, timeout } = config.autoSell.approval;
+    return {
+      enabled: this.isEnabled(),
+      thresholdNotional,
+      requiredApprovals,
+      timeout,
+      defaultAction: this.getDefaultAction()
+    };
+  }
+}
+
+module.exports = new ApprovalService();
+module.exports.ApprovalStatuses = ApprovalStatuses;
@@ -0,0 +1,154 @@
+const logger = require('../utils/logger');
+
+// Staking/earn balance suffixes: staked (locked), opt-in rewards (flexible),
+// bonded, and auto-earn (flexible)
+const EARN_SUFFIXES = ['S', 'F', 'B', 'M'];
+
+// Names the websocket v2 API uses instead of Kraken's legacy ones
+const V2_NAMES = {
+  XBT: 'BTC',
+  XDG: 'DOGE'
+};
+
+// Single source of truth for asset names, built from Kraken's Assets and
+// AssetPairs endpoints. Resolves Kraken codes (XXBT), altnames (XBT), websocket
+// names (BTC) and staking/earn variants (DOT.S, XBT.M) to one entry per asset.
+// Kept free of service dependencies; krakenService loads and refreshes it.
+class AssetRegistry {
+  constructor() {
+    this.assets = new Map(); // Kraken asset code -> entry
+    this.aliases = new Map(); // any known name (upper case) -> Kraken asset code
+    this.pairAliases = new Map(); // pair key, altname or wsname (upper case) -> pair key
+    this.loadedAt = null;
+  }
+
+  // Split an earn suffix off a name: 'DOT.S' -> { base: 'DOT', suffix: 'S' }
+  parseSuffix(name) {
+    const match = /^(.+)\.([A-Z])$/i.exec(name || '');
+    if (match && EARN_SUFFIXES.includes(match[2].toUpperCase())) {
+      return { base: match[1], suffix: match[2].toUpperCase() };
+    }
+    return { base: name, suffix: null };
+  }
+
+  // Rebuild the registry from Assets and AssetPairs results
+  load(assets, pairs) {
+    // Websocket names per asset code come from the pairs' wsname ("XBT/USD")
+    const wsNames = {};
+    const pairAliases = new Map();
+    for (const [pairKey, pairInfo] of Object.entries(pairs)) {
+      for (const alias of [pairKey, pairInfo.altname, pairInfo.wsname]) {
+        if (alias) {
+          pairAliases.set(alias.toUpperCase(), pairKey);
+        }
+      }
+      if (pairInfo.wsname && pairInfo.wsname.includes('/')) {
+        const [base, quote] = pairInfo.wsname.split('/');
+        wsNames[pairInfo.base] = wsNames[pairInfo.base] || base;
+        wsNames[pairInfo.quote] = wsNames[pairInfo.quote] || quote;
+      }
+    }
+
+    const entries = new Map();
+    for (const [code, info] of Object.entries(assets)) {
+      const altname = info.altname || code;
+      const { base, suffix } = this.parseSuffix(altname);
+      const baseCode = suffix ? this.findCodeByAltname(assets, base) : code;
+      const wsname = wsNames[baseCode] || base;
+      const standardBase = V2_NAMES[wsname] || wsname;
+
+      entries.set(code, {
+        code,
+        altname,
+        wsname: suffix ? `${wsname}.${suffix}` : wsname,
+        name: suffix ? `${standardBase}.${suffix}` : standardBase,
+        base: standardBase,
+        baseCode,
+        suffix,
+        aclass: info.aclass,
+        decimals: info.decimals,
+        displayDecimals: info.display_decimals,
+        status: info.status || 'enabled'
+      });
+    }
+
+    const aliases = new Map();
+    for (const entry of entries.values()) {
+      for (const alias of [entry.name, entry.wsname, entry.altname, entry.code]) {
+        // Exact codes and altnames win over derived names
+        const key = alias.toUpperCase();
+        if (!aliases.has(key) || alias === entry.code || alias === entry.altname) {
+          aliases.set(key, entry.code);
+        }
+      }
+    }
+
+    this.assets = entries;
+    this.aliases = aliases;
+    this.pairAliases = pairAliases;
+    this.loadedAt = new Date().toISOString();
+
+    logger.info('Asset registry loaded', {
+      assets: entries.size,
+      pairs: pairAliases.size,
+      earnVariants: Array.from(entries.values()).filter(entry => entry.suffix).length
+    });
+  }
+
+  findCodeByAltname(assets, altname) {
+    const found = Object.entries(assets).find(([, info]) => info.altname === altname);
+    return found ? found[0] : altname;
+  }
+
+  // Registry entry for any known name of an asset
+  resolve(name) {
+    if (!name) {
+      return null;
+    }
+    const code = this.aliases.get(String(name).toUpperCase());
+    return code ? this.assets.get(code) : null;
+  }
+
+  // Standard (websocket v2) name: XXBT -> BTC, XBT.M -> BTC.M, ZUSD -> USD
+  getStandardName(name) {
+    return this.resolve(name)?.name || name;
+  }
+
+  // Kraken REST asset code: BTC -> XXBT, USD -> ZUSD
+  getKrakenCode(name) {
+    return this.resolve(name)?.code || name;
+  }
+
+  // Altname used in pair names: BTC -> XBT, DOGE -> XDG
+  getAltname(name) {
+    return this.resolve(name)?.altname || name;
+  }
+
+  // Decimal precision Kraken records balances with
+  getDecimals(name) {
+    return this.resolve(name)?.decimals ?? null;
+  }
+
+  // Staking/earn suffix of a balance (S, F, B, M) or null for a spot balance
+  getSuffix(name) {
+    const entry = this.resolve(name);
+    return entry ? entry.suffix : this.parseSuffix(name).suffix;
+  }
+
+  // Canonical AssetPairs key for a pair key, altname or wsname
+  resolvePairKey(name) {
+    return name ? this.pairAliases.get(String(name).toUpperCase()) || null : null;
+  }
+
+  isLoaded() {
+    return this.loadedAt !== null;
+  }
+
+  // All entries (for the API)
+  getAssets() {
+    return Array.from(this.assets.values());
+  }
+}
+
+module.exports = new AssetRegistry();
+module.exports.EARN_SUFFIXES = EARN_SUFFIXES;
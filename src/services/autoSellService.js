@@ -1,17 +1,38 @@
 const config = require('../config');
 const logger = require('../utils/logger');
 const krakenService = require('./krakenService');
-const { sendLogToApi, convertAssetName } = require('../utils/helpers');
+const sellPolicyService = require('./sellPolicyService');
+const executionService = require('./executionService');
+const twapService = require('./twapService');
+const stateStore = require('./stateStore');
+const { TERMINAL_ORDER_STATUSES } = require('./stateStore');
+const orderTracker = require('./orderTracker');
+const dustService = require('./dustService');
+const orderSizingService = require('./orderSizingService');
+const earnService = require('./earnService');
+const withdrawalService = require('./withdrawalService');
+const riskGuard = require('./riskGuard');
+const pauseService = require('./pauseService');
+const approvalService = require('./approvalService');
+const { EarnClasses } = require('./earnService');
+const routeService = require('./routeService');
+const assetRegistry = require('./assetRegistry');
+const { sendLogToApi } = require('../utils/helpers');
+const { KrakenError } = require('../utils/krakenErrors');
+const { Decimal, toDecimal } = require('../utils/decimal');
+const { KeyedJobQueue } = require('../utils/jobQueue');
 
 class AutoSellService {
   constructor() {
     this.currentBalances = {};
     this.isProcessingSnapshot = false;
-    this.isProcessingBalance = false; // Add processing lock
+    this.jobQueue = new KeyedJobQueue(config.autoSell.queue.maxConcurrency); // Serializes work per asset
     this.initialProcessingComplete = false;
     this.lastRequestTime = Date.now();
     this.recursionCounts = {}; // Track recursion attempts per asset
     this.maxRecursionAttempts = 3; // Maximum retry attempts for partial fills
+    this.dustSweepInterval = null;
+    this.pendingCancels = new Map(); // txid -> caller, while a control API cancel is in flight
   }
 
   // Process all balances on startup
@@ -42,29 +63,23 @@ class AutoSellService {
 
   // Handle balance updates (both snapshot and real-time)
   async handleBalanceUpdate(balances, isSnapshot = false, updateInfo = null) {
-    // Prevent concurrent balance processing
-    if (this.isProcessingBalance) {
-      logger.debug('Balance processing already in progress, skipping this update', {
-        isSnapshot,
-        updateType: updateInfo?.type,
-        assetCount: Object.keys(balances).length
-      });
+    // Only one snapshot at a time; updates run alongside it
+    if (this.isProcessingSnapshot && isSnapshot) {
+      logger.debug('Already processing snapshot, skipping');
       return;
     }
 
-    // Set processing lock
-    this.isProcessingBalance = true;
-    
-    try {
-      // Existing snapshot protection (keep as is)
-      if (this.isProcessingSnapshot && isSnapshot) {
-        logger.debug('Already processing snapshot, skipping');
-        return;
-      }
+    if (isSnapshot) {
+      this.isProcessingSnapshot = true;
+    }
 
-      this.isProcessingSnapshot = isSnapshot;
-      
+
+    try {
+      // REST snapshots use Kraken codes (XXBT) and websocket ones standard
+      // names (BTC); both are compared under the standard name
+      balances = this.normalizeBalances(balances);
       const changes = [];
+      const jobs = [];
       const logData = {
         timestamp: new Date().toISOString(),
         eventType: isSnapshot ? 'snapshot' : 'update',
@@ -73,29 +88,49 @@ class AutoSellService {
       };
 
       for (const [asset, amount] of Object.entries(balances)) {
-        const oldAmount = parseFloat(this.currentBalances[asset] || 0);
-        const newAmount = parseFloat(amount);
-        const changed = oldAmount !== newAmount;
+        // Compared as decimals so float noise never shows up as a balance change
+        const oldAmount = toDecimal(this.currentBalances[asset]);
+        const newAmount = toDecimal(amount);
+        const changed = !oldAmount.eq(newAmount);
+
+        // Record the new balance right away so the next update compares against it
+        this.currentBalances[asset] = amount;
 
         if (changed) {
-          changes.push({ asset, oldAmount, newAmount });
+          changes.push({ asset, oldAmount: oldAmount.toFixed(), newAmount: newAmount.toFixed() });
           
           if (isSnapshot) {
-            logger.debug(`Processing balance for ${asset} (converted: ${convertAssetName(asset)})`, {
+            logger.debug(`Processing balance for ${asset} (converted: ${assetRegistry.getStandardName(asset)})`, {
               asset,
-              convertedAsset: convertAssetName(asset),
-              oldAmount,
-              newAmount,
+              convertedAsset: assetRegistry.getStandardName(asset),
+              oldAmount: oldAmount.toFixed(),
+              newAmount: newAmount.toFixed(),
               changed
             });
           }
 
-          await this.processBalanceChange(asset, oldAmount, newAmount, isSnapshot, logData, updateInfo);
+          // Claim deposits synchronously so the matching deposit event is recognised as a duplicate
+          const isDeposit = !isSnapshot && newAmount.gt(oldAmount) && updateInfo?.type !== 'trade';
+          if (isDeposit && !this.claimDeposit(assetRegistry.getStandardName(asset), updateInfo, 'balance_update')) {
+            continue;
+          }
+
+          jobs.push(this.enqueueAssetJob(
+            asset,
+            isSnapshot ? 'snapshot' : (updateInfo?.type || 'update'),
+            () => this.processBalanceChange(asset, oldAmount, newAmount, isSnapshot, logData, updateInfo),
+            { oldAmount: oldAmount.toFixed(), newAmount: newAmount.toFixed(), ledgerId: updateInfo?.ledger_id }
+          ));
         }
       }
 
-      // Update current balances
-      this.currentBalances = { ...balances };
+      // Snapshots replace the full set of balances; updates only carry the assets that changed
+      if (isSnapshot) {
+        this.currentBalances = { ...balances };
+      }
+      stateStore.setBalances(this.currentBalances);
+
+      await Promise.all(jobs);
 
       if (isSnapshot) {
         logger.info('Balance snapshot processed:', {
@@ -120,37 +155,104 @@ class AutoSellService {
       });
       throw error; // Re-throw to ensure caller knows about the error
     } finally {
-      // Always release the processing lock
-      this.isProcessingBalance = false;
+      if (isSnapshot) {
+        this.isProcessingSnapshot = false;
+      }
     }
   }
 
-  // Process individual balance changes
+  // Balances keyed by standard name; amounts reported under several names of
+  // the same asset are added up
+  normalizeBalances(balances) {
+    const normalized = {};
+    for (const [asset, amount] of Object.entries(balances || {})) {
+      const key = assetRegistry.getStandardName(asset);
+      normalized[key] = key in normalized ? toDecimal(normalized[key]).plus(toDecimal(amount)).toFixed() : amount;
+    }
+    return normalized;
+  }
+
+  // Run work for an asset on the per-asset queue (different assets run concurrently)
+  enqueueAssetJob(asset, name, fn, meta = {}) {
+    return this.jobQueue.enqueue(assetRegistry.getStandardName(asset), name, fn, meta);
+  }
+
+  // Queue depth and in-flight jobs (for the status API)
+  getQueueStatus() {
+    return this.jobQueue.getStatus();
+  }
+
+  // Deposits are keyed on the v2 balances update ledger_id (ref_id as fallback)
+  getLedgerKey(updateInfo) {
+    return updateInfo?.ledger_id || updateInfo?.ref_id || null;
+  }
+
+  // Claim a deposit for processing; returns false if it was already handled
+  claimDeposit(asset, updateInfo, source) {
+    const ledgerKey = this.getLedgerKey(updateInfo);
+    if (!ledgerKey) {
+      return true;
+    }
+
+    if (stateStore.hasSeenLedger(ledgerKey)) {
+      logger.info(`Skipping ${asset} deposit ${ledgerKey} - already processed`, {
+        asset,
+        ledgerId: updateInfo?.ledger_id,
+        refId: updateInfo?.ref_id,
+        source,
+        reason: 'duplicate_ledger'
+      });
+      return false;
+    }
+
+    // Mark before any await so the other event for the same deposit sees it
+    stateStore.markLedgerSeen(ledgerKey);
+    return true;
+  }
+
+  // Process individual balance changes (amounts are Decimals)
   async processBalanceChange(asset, oldAmount, newAmount, isSnapshot, logData, updateInfo) {
-    const convertedAsset = convertAssetName(asset);
-    const depositAmount = newAmount - oldAmount;
+    const convertedAsset = assetRegistry.getStandardName(asset);
+    const depositAmount = newAmount.minus(oldAmount);
+    const isIncrease = newAmount.gt(oldAmount);
     let saleTriggered = false;
 
     logger.debug(`Processing balance change for ${asset}`, {
       asset,
-      oldAmount,
-      newAmount,
+      oldAmount: oldAmount.toFixed(),
+      newAmount: newAmount.toFixed(),
       isSnapshot,
       updateType: updateInfo?.type,
-      shouldProcess: newAmount > 0 && !isSnapshot,
-      willProcess: newAmount > 0 && !isSnapshot && newAmount > oldAmount && updateInfo?.type !== 'trade'
+      shouldProcess: newAmount.gt(0) && !isSnapshot,
+      willProcess: newAmount.gt(0) && !isSnapshot && isIncrease && updateInfo?.type !== 'trade'
     });
 
-    // For snapshots, process all non-zero balances
-    if (isSnapshot && newAmount > 0) {
-      logger.info(`Processing snapshot balance for ${asset}: ${newAmount}`);
-      await this.processBalance(convertedAsset, newAmount);
+    // Staking/earn balances (DOT.S, ETH.F, ...) have no market of their own
+    const earn = earnService.classify(asset);
+    if (earn) {
+      this.processEarnBalance(earn, newAmount, isSnapshot || isIncrease);
+      return;
+    }
+
+    // For snapshots, process all non-zero balances. An increase over the last
+    // known balance arrived while the bot was down or disconnected, so it goes
+    // through the same approval check as a deposit.
+    if (isSnapshot && newAmount.gt(0)) {
+      logger.info(`Processing snapshot balance for ${asset}: ${newAmount.toFixed()}`);
+      const sellAmount = this.applySellPolicy(convertedAsset, newAmount, asset, 'snapshot');
+      if (sellAmount.gt(0)) {
+        if (isIncrease) {
+          await this.sellDeposit(convertedAsset, sellAmount, depositAmount);
+        } else {
+          await this.processBalance(convertedAsset, sellAmount);
+        }
+      }
       return;
     }
 
     // For updates, only process if it's a new deposit (amount increased) AND not a trade result
-    if (!isSnapshot && newAmount > oldAmount && newAmount > 0 && updateInfo?.type !== 'trade') {
-      logger.info(`Processing new deposit: ${asset} ${depositAmount}`);
+    if (!isSnapshot && isIncrease && newAmount.gt(0) && updateInfo?.type !== 'trade') {
+      logger.info(`Processing new deposit: ${asset} ${depositAmount.toFixed()}`);
       // Log the deposit event (do not crash on error)
       if (config.logging.api.enabled) {
         try {
@@ -158,8 +260,8 @@ class AutoSellService {
             eventType: 'deposit',
             timestamp: updateInfo?.timestamp || new Date().toISOString(),
             asset: convertedAsset,
-            amount: depositAmount,
-            balance: newAmount,
+            amount: depositAmount.toNumber(),
+            balance: newAmount.toNumber(),
             ledgerId: updateInfo?.ledger_id || null,
             refId: updateInfo?.ref_id || null
           });
@@ -167,31 +269,114 @@ class AutoSellService {
           logger.error('Failed to send deposit log to API', { error: err.message });
         }
       }
-      // Try to process a sale of the total balance (not just the deposit)
-      saleTriggered = await this.processBalance(convertedAsset, newAmount);
+      // Try to process a sale of the total balance (not just the deposit), as allowed by the sell policy
+      const sellAmount = this.applySellPolicy(convertedAsset, newAmount, asset, 'deposit');
+      if (sellAmount.gt(0)) {
+        saleTriggered = await this.sellDeposit(convertedAsset, sellAmount, depositAmount, updateInfo);
+      }
       // If a sale was triggered, log the sale event (handled in processBalance)
       return;
     }
 
     // Log ignored trade results for debugging
     if (!isSnapshot && updateInfo?.type === 'trade') {
-      logger.debug(`Ignoring trade result for ${asset}: ${depositAmount > 0 ? '+' : ''}${depositAmount}`, {
+      logger.debug(`Ignoring trade result for ${asset}: ${depositAmount.gt(0) ? '+' : ''}${depositAmount.toFixed()}`, {
         asset,
-        oldAmount,
-        newAmount,
-        depositAmount,
+        oldAmount: oldAmount.toFixed(),
+        newAmount: newAmount.toFixed(),
+        depositAmount: depositAmount.toFixed(),
         updateType: updateInfo.type,
         reason: 'trade_result'
       });
     }
   }
 
-  // Process a single balance for selling
-  async processBalance(asset, totalAmount, recursionLevel = 0) {
+  // Earn balances are reported but never sold. Flexible allocations are
+  // deallocated when auto-unstake is enabled; the resulting spot balance update
+  // is then sold like a deposit.
+  processEarnBalance(earn, amount, grew) {
+    logger.info(`Not selling ${earn.asset} - ${earn.class} earn balance`, {
+      asset: earn.asset,
+      base: earn.base,
+      class: earn.class,
+      amount: amount.toFixed(),
+      reason: 'earn_balance'
+    });
+
+    if (earn.class !== EarnClasses.FLEXIBLE || !config.autoSell.earn.autoUnstake || !grew || amount.lte(0) ||
+      pauseService.isPaused(earn.base)) {
+      return;
+    }
+
+    // No point unstaking what the sell policy would keep anyway
+    const sellAmount = this.applySellPolicy(earn.base, amount, earn.asset, 'earn');
+    if (sellAmount.lte(0)) {
+      return;
+    }
+
+    // Deallocation can take minutes; not awaited so the balance update is not held up
+    earnService.unstake(earn.asset, sellAmount).catch(err => {
+      logger.error(`Unstaking ${earn.asset} failed`, { error: err.message });
+    });
+  }
+
+  // Consult the sell policy and return how much of the balance may be sold (a Decimal).
+  // Amounts held by pending approval requests and the unsold rest of running
+  // TWAP executions are not part of the balance.
+  applySellPolicy(asset, balance, originalAsset = asset, source = 'update') {
+    const heldForApproval = approvalService.getHeldAmount(asset);
+    const reservedForTwap = twapService.getReservedAmount(asset);
+    const sellableBalance = Decimal.max(toDecimal(balance).minus(heldForApproval).minus(reservedForTwap), 0);
+    const decision = sellPolicyService.evaluate(asset, sellableBalance, [originalAsset, assetRegistry.getKrakenCode(asset)]);
+    const logDetails = {
+      ...decision,
+      balance: decision.balance.toFixed(),
+      sellAmount: decision.sellAmount.toFixed(),
+      originalAsset,
+      source,
+      ...(heldForApproval.gt(0) && { heldForApproval: heldForApproval.toFixed() }),
+      ...(reservedForTwap.gt(0) && { reservedForTwap: reservedForTwap.toFixed() })
+    };
+
+    if (decision.sellAmount.gt(0)) {
+      logger.info(`Sell policy allows selling ${decision.sellAmount.toFixed()} ${asset} (rule: ${decision.rule})`, logDetails);
+    } else {
+      logger.info(`Sell policy prevents selling ${asset} (rule: ${decision.rule})`, logDetails);
+    }
+
+    return decision.sellAmount;
+  }
+
+  // Sell after a deposit, unless the deposit is large enough to need an operator's approval first
+  async sellDeposit(asset, sellAmount, depositAmount, updateInfo = null) {
+    const request = await approvalService.requestIfRequired(asset, sellAmount, depositAmount, {
+      ledgerId: updateInfo?.ledger_id,
+      refId: updateInfo?.ref_id
+    });
+    if (request) {
+      return false;
+    }
+    return this.processBalance(asset, sellAmount);
+  }
+
+  // Sell the amount of an approved (or expired with approve as default) request
+  async sellApproved(request) {
+    const sold = await this.enqueueAssetJob(request.asset, 'approved_sale',
+      () => this.processBalance(request.asset, request.amount),
+      { approvalId: request.id, amount: request.amount });
+    approvalService.recordSale(request.id, sold);
+    return sold;
+  }
+
+  // Process a single balance for selling (options.manual: operator-triggered, ignores pauses)
+  async processBalance(asset, totalAmount, recursionLevel = 0, parentTxid = null, options = {}) {
+    totalAmount = toDecimal(totalAmount);
     logger.info(`Processing ${asset} balance`, { 
-      amount: totalAmount, 
+      amount: totalAmount.toFixed(),
       asset, 
       recursionLevel,
+      parentTxid,
+      manual: !!options.manual,
       maxRecursion: this.maxRecursionAttempts
     });
 
@@ -199,7 +384,7 @@ class AutoSellService {
     if (recursionLevel >= this.maxRecursionAttempts) {
       logger.warn(`Maximum recursion attempts reached for ${asset}`, {
         asset,
-        amount: totalAmount,
+        amount: totalAmount.toFixed(),
         recursionLevel,
         maxRecursion: this.maxRecursionAttempts,
         reason: 'max_recursion_exceeded'
@@ -207,9 +392,32 @@ class AutoSellService {
       return false;
     }
 
+    // Tripped risk guard pauses all selling until it is reset
+    if (riskGuard.isTripped()) {
+      logger.warn(`Skipping ${asset} - auto-sell paused by the risk guard`, {
+        asset,
+        amount: totalAmount.toFixed(),
+        trip: riskGuard.trip,
+        reason: 'risk_guard_tripped'
+      });
+      return false;
+    }
+
+    // Paused by the operator (for all assets or this one)
+    const pause = pauseService.getPause(asset);
+    if (pause && !options.manual) {
+      logger.info(`Skipping ${asset} - auto-sell paused`, {
+        asset,
+        amount: totalAmount.toFixed(),
+        pause,
+        reason: 'paused'
+      });
+      return false;
+    }
+
     // Skip if it's the target fiat currency (original or converted)
     const fiat = config.kraken.targetFiat;
-    const fiatConverted = convertAssetName(fiat);
+    const fiatConverted = assetRegistry.getStandardName(fiat);
     if (asset === fiat || asset === fiatConverted) {
       logger.info(`Skipping ${asset} - target fiat currency`, {
         asset,
@@ -224,6 +432,19 @@ class AutoSellService {
 
     // Check if there's a market pair
     if (!krakenService.hasMarketPair(asset)) {
+      const directPair = krakenService.resolveMarketPair(asset);
+      if (directPair) {
+        logger.warn(`Market for ${asset} is not accepting orders`, {
+          asset,
+          pair: directPair.key,
+          status: directPair.status,
+          reason: 'pair_not_online'
+        });
+        return false;
+      }
+      if (config.autoSell.routing.enabled) {
+        return this.sellViaRoute(asset, totalAmount);
+      }
       logger.warn(`No market for ${asset}`, { 
         asset, 
         targetFiat: config.kraken.targetFiat, 
@@ -234,45 +455,72 @@ class AutoSellService {
 
     // Check minimum order size (Kraken's real minimum)
     const minimumOrderSize = krakenService.getMinimumOrderSize(asset);
-    if (totalAmount < minimumOrderSize) {
+    if (totalAmount.lt(minimumOrderSize)) {
       logger.info(`Skipping ${asset} - amount too small`, { 
         asset, 
-        amount: totalAmount, 
+        amount: totalAmount.toFixed(), 
         minimum: minimumOrderSize,
         reason: 'below_minimum_order' 
       });
+      dustService.record(asset, totalAmount, 'below_minimum_order');
       return false;
     }
 
     // Check actual available balance before placing order
+    let heldAmount = null;
     try {
       const actualBalance = await krakenService.checkBalanceForAsset(asset);
-      const availableAmount = Math.min(totalAmount, actualBalance.totalBalance);
+      const totalBalance = toDecimal(actualBalance.exact.totalBalance);
+      // The unsold rest of running TWAP executions belongs to their children
+      const reservedForTwap = twapService.getReservedAmount(asset);
+      const availableAmount = Decimal.min(totalAmount, Decimal.max(totalBalance.minus(reservedForTwap), 0));
       
-      if (availableAmount < minimumOrderSize) {
+      if (availableAmount.lt(minimumOrderSize)) {
         logger.info(`Skipping ${asset} - available balance too small`, { 
           asset, 
-          requestedAmount: totalAmount,
-          availableAmount,
+          requestedAmount: totalAmount.toFixed(),
+          availableAmount: availableAmount.toFixed(),
           minimum: minimumOrderSize,
           reason: 'insufficient_available_balance' 
         });
+        dustService.record(asset, availableAmount, 'insufficient_available_balance');
         return false;
       }
       
       logger.info(`Using available balance for ${asset}`, {
         asset,
-        requestedAmount: totalAmount,
-        availableAmount,
+        requestedAmount: totalAmount.toFixed(),
+        availableAmount: availableAmount.toFixed(),
         actualBalance: actualBalance.totalBalance
       });
       
       // Use the smaller of requested amount or available balance
       totalAmount = availableAmount;
+      // Whatever is not being sold stays in the account; reconciliation measures the residual against it
+      heldAmount = Decimal.max(totalBalance.minus(totalAmount), 0).toNumber();
     } catch (err) {
       logger.warn(`Could not verify balance for ${asset}, proceeding with original amount`, {
         asset,
-        amount: totalAmount,
+        amount: totalAmount.toFixed(),
+        error: err.message
+      });
+    }
+
+    // Large sales are sliced into child orders over a time window
+    try {
+      const pair = krakenService.getMarketPair(asset);
+      const twapCheck = await twapService.shouldSlice(pair, totalAmount);
+      if (twapCheck.slice) {
+        const execution = twapService.start(asset, pair, totalAmount, twapCheck.notional);
+        if (execution) {
+          dustService.clear(asset);
+          return true;
+        }
+      }
+    } catch (err) {
+      logger.warn(`Could not evaluate TWAP for ${asset}, selling in a single order`, {
+        asset,
+        amount: totalAmount.toFixed(),
         error: err.message
       });
     }
@@ -284,12 +532,57 @@ class AutoSellService {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         const pair = krakenService.getMarketPair(asset);
-        const order = await krakenService.placeMarketSellOrder(pair, totalAmount);
-        logger.info(`Market sell order placed for ${asset}`, {
+        const order = await executionService.sell(asset, pair, totalAmount, { recursionLevel, parentTxid, heldAmount });
+
+        // Limit execution refused to sell below the price floor (alert already raised)
+        if (order.status === 'refused') {
+          logger.warn(`Sell of ${asset} refused by execution strategy`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            pair,
+            txids: order.txids,
+            filledVolume: order.filledVolume,
+            floorPrice: order.floorPrice,
+            reason: 'price_below_floor'
+          });
+          return false;
+        }
+
+        // Risk guard refused the order (and is now tripped)
+        if (order.status === 'blocked') {
+          logger.warn(`Sell of ${asset} blocked by the risk guard`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            pair,
+            reason: order.reason
+          });
+          return false;
+        }
+
+        // Order sizing found nothing Kraken would accept (e.g. below costmin after rounding)
+        if (order.status === 'unplaceable') {
+          logger.info(`Sell of ${asset} not placeable`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            pair,
+            reason: order.reason,
+            sizing: order.sizing
+          });
+          if (orderSizingService.isBelowMinimum(order.reason)) {
+            dustService.record(asset, totalAmount, order.reason);
+          }
+          return false;
+        }
+
+        dustService.clear(asset);
+
+        logger.info(`Sell order placed for ${asset}`, {
           asset,
-          amount: totalAmount,
+          amount: totalAmount.toFixed(),
           pair,
           txid: order.txid,
+          strategy: config.autoSell.execution.strategy,
+          dryRun: config.autoSell.dryRun,
           attempt,
           recursionLevel
         });
@@ -301,83 +594,128 @@ class AutoSellService {
               eventType: 'sale',
               timestamp: new Date().toISOString(),
               asset,
-              amount: totalAmount,
+              amount: totalAmount.toNumber(),
               pair,
-              txid: order.txid
+              txid: order.txid,
+              dryRun: config.autoSell.dryRun
             });
           } catch (err) {
             logger.error('Failed to send sale log to API', { error: err.message });
           }
         }
         
-        // Monitor order status with recursion protection
-        setTimeout(async () => {
-          try {
-            const orderStatus = await krakenService.getOrderStatus(order.txid);
-            if (orderStatus) {
-              logger.info(`Order ${order.txid} status updated`, {
-                status: orderStatus.status,
-                usdValue: orderStatus.usdValue,
-                volume: orderStatus.volume,
-                fee: orderStatus.fee,
-                recursionLevel
-              });
-              
-              // If order was partially filled, try to sell remaining balance with recursion protection
-              if (orderStatus.status === 'closed' && orderStatus.volume < totalAmount) {
-                const remainingAmount = totalAmount - orderStatus.volume;
-                logger.info(`Order partially filled, attempting to sell remaining ${remainingAmount} ${asset}`, {
-                  asset,
-                  originalAmount: totalAmount,
-                  filledAmount: orderStatus.volume,
-                  remainingAmount,
-                  recursionLevel,
-                  maxRecursion: this.maxRecursionAttempts
-                });
-                
-                // Check if we should attempt another sale
-                if (recursionLevel < this.maxRecursionAttempts) {
-                  // Use exponential backoff: 2s, 4s, 8s for retries
-                  const delay = Math.min(2000 * Math.pow(2, recursionLevel), 30000);
-                  logger.info(`Scheduling retry for remaining ${remainingAmount} ${asset} in ${delay}ms`, {
-                    asset,
-                    remainingAmount,
-                    recursionLevel: recursionLevel + 1,
-                    delay
-                  });
-                  
-                  setTimeout(() => this.processBalance(asset, remainingAmount, recursionLevel + 1), delay);
-                } else {
-                  logger.warn(`Maximum recursion attempts reached for ${asset}, not retrying partial fill`, {
-                    asset,
-                    remainingAmount,
-                    recursionLevel,
-                    maxRecursion: this.maxRecursionAttempts
-                  });
-                }
-              }
-            }
-          } catch (err) {
-            logger.warn(`Could not get order status for ${order.txid}`, {
-              error: err.message,
+        // Record the order(s) so they can be followed up after a restart
+        for (const txid of order.txids || [order.txid]) {
+          stateStore.recordOrder(txid, {
+            asset,
+            pair,
+            volume: totalAmount.toNumber(),
+            strategy: order.strategy || 'market',
+            dryRun: config.autoSell.dryRun,
+            recursionLevel,
+            parentTxid,
+            heldAmount,
+            status: order.settled && txid !== order.openTxid ? order.status : 'placed',
+            placedAt: new Date().toISOString()
+          });
+        }
+
+        // Limit executions handle their own re-pricing and are settled on return
+        if (order.settled) {
+          if (order.status === 'partial') {
+            await this.reconcileOrder({
               txid: order.txid,
+              asset,
+              requestedVolume: totalAmount,
+              filledVolume: order.filledVolume,
+              status: order.status,
               recursionLevel
             });
+          } else {
+            withdrawalService.requestWithdrawal(`order_${order.txid}`);
           }
-        }, 5000);
+          return true;
+        }
+
+        orderTracker.track(order.txid, { asset, pair, requestedVolume: totalAmount.toNumber(), recursionLevel });
         
         return true;
       } catch (err) {
         lastError = err;
+        const krakenError = err instanceof KrakenError ? err : null;
+        // A limit execution failed after some of its orders settled: only its
+        // unsold rest is sold again, never what the policy or a TWAP holds back
+        if (err.partialResult) {
+          logger.warn(`Limit execution for ${asset} failed after selling ${err.partialResult.filledVolume}, continuing with the rest`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            txids: err.partialResult.txids,
+            filledVolume: err.partialResult.filledVolume,
+            remainingVolume: err.partialResult.remainingVolume
+          });
+          totalAmount = toDecimal(err.partialResult.remainingVolume);
+          if (totalAmount.lt(minimumOrderSize)) {
+            return true;
+          }
+        }
         logger.warn(`Failed to place sell order for ${asset} (attempt ${attempt}/${maxRetries})`, {
           asset,
-          amount: totalAmount,
+          amount: totalAmount.toFixed(),
           error: err.message,
+          code: krakenError?.code,
+          kind: krakenError?.kind,
           attempt,
           maxRetries,
           recursionLevel
         });
-        
+
+        // Kraken refused the order itself (insufficient funds, below minimum,
+        // invalid arguments, ...): placing it again cannot succeed
+        if (krakenError?.isPermanent()) {
+          logger.error(`Sell order for ${asset} rejected by Kraken`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            code: krakenError.code,
+            recursionLevel,
+            reason: krakenError.reason
+          });
+          if (krakenError.hasReason('below_minimum_order') || krakenError.hasReason('below_minimum_cost')) {
+            dustService.record(asset, totalAmount, krakenError.reason);
+          }
+          return false;
+        }
+
+        // Throttled, too many open orders or market restricted: try again later
+        if (krakenError?.isBackoff()) {
+          const delay = config.autoSell.deferDelay;
+          logger.warn(`Sell of ${asset} deferred for ${delay}ms`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            code: krakenError.code,
+            recursionLevel: recursionLevel + 1,
+            reason: krakenError.reason
+          });
+          this.scheduleRetry(asset, totalAmount, recursionLevel + 1, delay, parentTxid);
+          return false;
+        }
+
+        // AddOrder failed without a definite answer (timeout, 5xx, service
+        // unavailable): Kraken may have accepted the order, so it is not placed
+        // again now. The deferred attempt re-reads the balance first, which no
+        // longer holds what that order sold.
+        if (krakenError?.method === 'AddOrder') {
+          const delay = config.autoSell.deferDelay;
+          logger.warn(`Sell order for ${asset} may have been placed, deferring for ${delay}ms`, {
+            asset,
+            amount: totalAmount.toFixed(),
+            code: krakenError.code,
+            recursionLevel: recursionLevel + 1,
+            reason: krakenError.reason
+          });
+          this.scheduleRetry(asset, totalAmount, recursionLevel + 1, delay, parentTxid);
+          return false;
+        }
+
         if (attempt < maxRetries) {
           // Wait before retry (exponential backoff)
           await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
@@ -387,7 +725,7 @@ class AutoSellService {
     
     logger.error(`Failed to place sell order for ${asset} after ${maxRetries} attempts`, {
       asset,
-      amount: totalAmount,
+      amount: totalAmount.toFixed(),
       error: lastError.message,
       stack: lastError.stack,
       recursionLevel
@@ -395,10 +733,527 @@ class AutoSellService {
     return false;
   }
 
+  // Sell an asset without a direct fiat pair through an intermediate asset
+  async sellViaRoute(asset, totalAmount) {
+    const actualBalance = await krakenService.checkBalanceForAsset(asset);
+    const amount = actualBalance
+      ? Decimal.min(toDecimal(totalAmount), toDecimal(actualBalance.exact.totalBalance))
+      : toDecimal(totalAmount);
+
+    const { route, candidates, rejected } = await routeService.findRoute(asset, amount);
+    if (!route) {
+      logger.warn(`No market or route for ${asset}`, {
+        asset,
+        amount: amount.toFixed(),
+        targetFiat: config.kraken.targetFiat,
+        candidates,
+        reason: candidates > 0 ? 'no_viable_route' : 'no_market'
+      });
+      // Routes exist but every one needs more than we have
+      if (candidates > 0 && rejected.every(candidate => candidate.rejected.startsWith('below_leg'))) {
+        dustService.record(asset, amount, 'below_route_minimum');
+      }
+      return false;
+    }
+
+    const sale = await routeService.execute(asset, amount, route);
+    if (sale.status === 'failed') {
+      return false;
+    }
+    dustService.clear(asset);
+    withdrawalService.requestWithdrawal(`route_${sale.id}`);
+
+    if (config.logging.api.enabled) {
+      try {
+        await sendLogToApi({
+          eventType: 'sale',
+          timestamp: new Date().toISOString(),
+          asset,
+          amount: amount.toNumber(),
+          pair: sale.path.join('>'),
+          routeId: sale.id,
+          txid: sale.legs[0]?.txid,
+          dryRun: config.autoSell.dryRun
+        });
+      } catch (err) {
+        logger.error('Failed to send sale log to API', { error: err.message });
+      }
+    }
+
+    return true;
+  }
+
+  // Reconcile an order once the tracker has finalized it, on the asset's queue
+  async handleOrderFinalized(record) {
+    await this.enqueueAssetJob(record.asset, 'reconcile', () => this.reconcileOrder(record), {
+      txid: record.txid,
+      status: record.status
+    });
+  }
+
+  // Re-read the balance after an order terminated and deal with what is really
+  // left of the amount it was meant to sell: re-sell it, or record it as dust
+  async reconcileOrder({ txid, asset, requestedVolume, filledVolume, status, recursionLevel }) {
+    const order = stateStore.getOrder(txid) || {};
+    const unfilled = Decimal.max(toDecimal(requestedVolume).minus(toDecimal(filledVolume)), 0);
+    let balanceAfter = null;
+    let residualAmount = unfilled;
+
+    if (status !== 'rejected' && unfilled.gt(0)) {
+      const actualBalance = await krakenService.checkBalanceForAsset(asset);
+      if (actualBalance) {
+        balanceAfter = toDecimal(actualBalance.exact.totalBalance);
+        const heldAmount = toDecimal(order.heldAmount ?? 0);
+        // Never more than the order left unfilled, so deposits that arrived meanwhile are left to their own processing
+        residualAmount = Decimal.min(Decimal.max(balanceAfter.minus(heldAmount), 0), unfilled);
+      } else {
+        logger.warn(`Could not re-read ${asset} balance after order ${txid}, using unfilled amount`, {
+          txid,
+          asset,
+          unfilledAmount: unfilled.toFixed()
+        });
+      }
+    }
+
+    const unfilledAmount = unfilled.toNumber();
+    const residual = residualAmount.toNumber();
+    const minimumOrderSize = krakenService.getMinimumOrderSize(asset);
+    let outcome;
+    if (status === 'rejected') {
+      outcome = 'rejected';
+    } else if (residualAmount.lte(0)) {
+      outcome = 'complete';
+    } else if (order.canceledBy || this.pendingCancels.has(txid)) {
+      // Canceled through the control API; the rest is left alone
+      outcome = 'canceled';
+    } else if (residualAmount.lt(minimumOrderSize)) {
+      outcome = 'dust';
+    } else if (recursionLevel + 1 < this.maxRecursionAttempts) {
+      outcome = 'resell';
+    } else {
+      outcome = 'max_attempts';
+    }
+
+    const reconciliation = {
+      status,
+      requestedVolume: toDecimal(requestedVolume).toNumber(),
+      filledVolume: toDecimal(filledVolume).toNumber(),
+      unfilledAmount,
+      heldAmount: order.heldAmount ?? null,
+      balanceAfter: balanceAfter ? balanceAfter.toNumber() : null,
+      residual,
+      minimumOrderSize,
+      outcome,
+      exact: {
+        unfilledAmount: unfilled.toFixed(),
+        balanceAfter: balanceAfter ? balanceAfter.toFixed() : null,
+        residual: residualAmount.toFixed()
+      },
+      reconciledAt: new Date().toISOString()
+    };
+    stateStore.recordOrder(txid, { reconciliation });
+
+    logger.info(`Order ${txid} reconciled for ${asset}: ${outcome}`, {
+      txid,
+      asset,
+      recursionLevel,
+      ...reconciliation
+    });
+
+    // The sale is settled unless the residual is re-sold
+    if (!['resell', 'rejected'].includes(outcome)) {
+      withdrawalService.requestWithdrawal(`order_${txid}`);
+    }
+
+    if (outcome === 'dust') {
+      dustService.record(asset, residualAmount, `residual_of_${txid}`);
+    } else if (outcome === 'resell') {
+      // Use exponential backoff: 2s, 4s, 8s for retries
+      const retryDelay = Math.min(2000 * Math.pow(2, recursionLevel), 30000);
+      logger.info(`Scheduling retry for remaining ${residualAmount.toFixed()} ${asset} in ${retryDelay}ms`, {
+        asset,
+        remainingAmount: residualAmount.toFixed(),
+        recursionLevel: recursionLevel + 1,
+        parentTxid: txid,
+        delay: retryDelay
+      });
+      this.scheduleRetry(asset, residualAmount, recursionLevel + 1, retryDelay, txid);
+    } else if (outcome === 'max_attempts') {
+      logger.warn(`Maximum recursion attempts reached for ${asset}, not retrying partial fill`, {
+        asset,
+        remainingAmount: residualAmount.toFixed(),
+        recursionLevel,
+        maxRecursion: this.maxRecursionAttempts
+      });
+    }
+
+    return reconciliation;
+  }
+
+  // Full attempt history of a sale: the first order and every re-sell that followed it
+  getAttemptHistory(txid) {
+    let root = stateStore.getOrder(txid);
+    if (!root) {
+      return null;
+    }
+    while (root.parentTxid && stateStore.getOrder(root.parentTxid)) {
+      root = stateStore.getOrder(root.parentTxid);
+    }
+
+    const orders = stateStore.getOrders();
+    const buildAttempt = (order) => ({
+      ...order,
+      children: orders
+        .filter(child => child.parentTxid === order.txid)
+        .map(buildAttempt)
+    });
+    return buildAttempt(root);
+  }
+
+  // Start the scheduled dust sweep (if enabled)
+  startDustSweep() {
+    if (!config.autoSell.dust.sweepEnabled || this.dustSweepInterval) {
+      return;
+    }
+    this.dustSweepInterval = setInterval(() => {
+      this.sweepDust().catch(err => {
+        logger.error('Dust sweep failed', { error: err.message, stack: err.stack });
+      });
+    }, config.autoSell.dust.sweepInterval);
+  }
+
+  // Try to sell every recorded dust balance, each on its asset's queue
+  async sweepDust() {
+    const assets = Object.keys(dustService.getDust());
+    logger.info(`Sweeping dust for ${assets.length} assets`, { assets });
+
+    const results = await Promise.all(assets.map(asset =>
+      this.enqueueAssetJob(asset, 'dust_sweep', () => this.sweepDustAsset(asset))
+        .catch(err => ({ asset, outcome: 'failed', error: err.message }))
+    ));
+
+    dustService.lastSweep = {
+      completedAt: new Date().toISOString(),
+      results
+    };
+    return results;
+  }
+
+  // Sell an asset's dust directly if it has grown over the minimum, otherwise
+  // through an intermediate pair with a lower minimum
+  async sweepDustAsset(asset) {
+    const actualBalance = await krakenService.checkBalanceForAsset(asset);
+    if (!actualBalance) {
+      return { asset, outcome: 'balance_unavailable' };
+    }
+    const balance = toDecimal(actualBalance.exact.totalBalance);
+    if (balance.lte(0)) {
+      dustService.clear(asset, 'balance_gone');
+      return { asset, outcome: 'cleared' };
+    }
+
+    const sellAmount = this.applySellPolicy(asset, balance, asset, 'dust_sweep');
+    const amount = sellAmount.toNumber();
+    if (sellAmount.lte(0)) {
+      return { asset, outcome: 'held_by_policy' };
+    }
+
+    if (krakenService.hasMarketPair(asset) && sellAmount.gte(krakenService.getMinimumOrderSize(asset))) {
+      const sold = await this.processBalance(asset, sellAmount);
+      return { asset, amount, outcome: sold ? 'sold' : 'not_sold' };
+    }
+
+    const route = dustService.findIntermediateRoute(asset, sellAmount);
+    if (!route) {
+      logger.info(`No intermediate pair can take ${sellAmount.toFixed()} ${asset} of dust`, {
+        asset,
+        amount: sellAmount.toFixed(),
+        intermediates: config.autoSell.dust.intermediates,
+        reason: 'no_dust_route'
+      });
+      return { asset, amount, outcome: 'no_route' };
+    }
+
+    const order = await executionService.placeMarketSell(route.pair, sellAmount, asset, {
+      strategy: 'dust_sweep',
+      intermediate: route.intermediate
+    });
+    if (order.status === 'unplaceable' || order.status === 'blocked') {
+      return { asset, amount, outcome: order.status, pair: route.pair, reason: order.reason };
+    }
+    const fills = await executionService.summarizeFills([order.txid]);
+    const received = toDecimal(fills.cost).minus(toDecimal(fills.fee));
+
+    stateStore.recordOrder(order.txid, {
+      asset,
+      pair: route.pair,
+      volume: amount,
+      strategy: 'dust_sweep',
+      intermediate: route.intermediate,
+      dryRun: config.autoSell.dryRun,
+      status: toDecimal(fills.volumeExecuted).gt(0) ? 'closed' : 'canceled',
+      volumeExecuted: fills.volumeExecuted,
+      cost: fills.cost,
+      fee: fills.fee,
+      placedAt: new Date().toISOString()
+    });
+    dustService.clear(asset, `swept_via_${route.intermediate}`);
+
+    logger.info(`Swept ${fills.volumeExecuted} ${asset} of dust into ${received.toFixed()} ${route.intermediate}`, {
+      asset,
+      pair: route.pair,
+      txid: order.txid,
+      intermediate: route.intermediate,
+      received: received.toFixed()
+    });
+
+    // Second hop on the intermediate's own queue; not awaited so a single queue slot cannot deadlock
+    if (received.gt(0)) {
+      this.enqueueAssetJob(route.intermediate, 'dust_sweep_hop', () => this.processBalance(route.intermediate, received), {
+        from: asset,
+        amount: received.toFixed()
+      }).catch(err => {
+        logger.error(`Selling swept ${route.intermediate} failed`, { error: err.message });
+      });
+    }
+
+    return { asset, amount, outcome: 'swept', intermediate: route.intermediate, txid: order.txid, received: received.toNumber() };
+  }
+
+  // Persist and schedule a retry for a remaining amount
+  scheduleRetry(asset, amount, recursionLevel, delay, parentTxid = null) {
+    const retry = stateStore.scheduleRetry({
+      asset,
+      amount: toDecimal(amount).toNumber(),
+      recursionLevel,
+      parentTxid,
+      dueAt: Date.now() + delay
+    });
+    this.recursionCounts[asset] = recursionLevel;
+    stateStore.setRecursionCount(asset, recursionLevel);
+    setTimeout(() => this.runRetry(retry), delay);
+  }
+
+  // Run a scheduled retry on the asset's queue and mark it done
+  async runRetry(retry) {
+    stateStore.completeRetry(retry.id);
+    try {
+      await this.enqueueAssetJob(
+        retry.asset,
+        'retry',
+        () => this.processBalance(retry.asset, retry.amount, retry.recursionLevel, retry.parentTxid),
+        { amount: retry.amount, recursionLevel: retry.recursionLevel, parentTxid: retry.parentTxid }
+      );
+    } catch (err) {
+      logger.error(`Retry for ${retry.asset} failed`, {
+        asset: retry.asset,
+        amount: retry.amount,
+        recursionLevel: retry.recursionLevel,
+        error: err.message
+      });
+    }
+  }
+
+  // Restore persisted state and resume pending retries and order follow-ups
+  restoreState() {
+    this.currentBalances = this.normalizeBalances(stateStore.getBalances());
+    this.recursionCounts = stateStore.getRecursionCounts();
+
+    // A trip from before the restart still pauses selling until it is reset
+    if (riskGuard.isTripped()) {
+      logger.warn(`Risk guard still tripped (${riskGuard.trip.reason}), auto-sell stays paused`, riskGuard.trip);
+    }
+
+    const now = Date.now();
+    const retries = stateStore.getPendingRetries();
+    for (const retry of retries) {
+      const delay = Math.max(retry.dueAt - now, 0);
+      logger.info(`Resuming retry for ${retry.amount} ${retry.asset} in ${delay}ms`, {
+        id: retry.id,
+        asset: retry.asset,
+        amount: retry.amount,
+        recursionLevel: retry.recursionLevel
+      });
+      setTimeout(() => this.runRetry(retry), delay);
+    }
+
+    // Children of TWAP executions are settled when their execution resumes
+    const openOrders = stateStore.getOpenOrders().filter(order => !order.executionId);
+    for (const order of openOrders) {
+      // Simulated orders only ever lived in memory
+      if (order.dryRun) {
+        stateStore.recordOrder(order.txid, { status: 'lost' });
+        continue;
+      }
+      logger.info(`Resuming follow-up of order ${order.txid}`, {
+        txid: order.txid,
+        asset: order.asset,
+        volume: order.volume,
+        status: order.status,
+        orderType: order.orderType
+      });
+      const track = () => orderTracker.track(order.txid, {
+        asset: order.asset,
+        pair: order.pair,
+        requestedVolume: order.volume,
+        recursionLevel: order.recursionLevel || 0
+      }, 0);
+
+      // The limit execution that was re-pricing this order is gone: cancel it,
+      // and the unsold rest is re-sold once the order is reconciled
+      if (order.orderType === 'limit') {
+        krakenService.cancelOrder(order.txid)
+          .catch(err => {
+            logger.error(`Could not cancel limit order ${order.txid} left from before the restart`, {
+              txid: order.txid,
+              error: err.message
+            });
+          })
+          .finally(track);
+      } else {
+        track();
+      }
+    }
+
+    logger.info('Auto-sell state restored', {
+      knownAssets: Object.keys(this.currentBalances).length,
+      resumedRetries: retries.length,
+      resumedOrders: openOrders.filter(order => !order.dryRun).length
+    });
+  }
+
+  // Sell an asset on operator request: the given amount, or its whole current balance
+  async manualSell(asset, amount = null) {
+    const convertedAsset = assetRegistry.getStandardName(asset);
+    const balanceKey = Object.keys(this.currentBalances)
+      .find(key => assetRegistry.getStandardName(key) === convertedAsset);
+    const sellAmount = toDecimal(amount ?? this.currentBalances[balanceKey]);
+    if (sellAmount.lte(0)) {
+      return { asset: convertedAsset, amount: 0, sold: false, reason: 'no_balance' };
+    }
+
+    logger.info(`Manual sell of ${sellAmount.toFixed()} ${convertedAsset} requested`, {
+      asset: convertedAsset,
+      amount: sellAmount.toFixed(),
+      wholeBalance: amount === null
+    });
+    const sold = await this.enqueueAssetJob(convertedAsset, 'manual_sell',
+      () => this.processBalance(convertedAsset, sellAmount, 0, null, { manual: true }),
+      { amount: sellAmount.toFixed() });
+    return { asset: convertedAsset, amount: sellAmount.toNumber(), sold };
+  }
+
+  // Cancel an open bot-placed order; reconciliation then leaves its unfilled rest unsold
+  async cancelOrder(txid, canceledBy = 'operator') {
+    const order = stateStore.getOrder(txid);
+    if (!order) {
+      return null;
+    }
+    if (TERMINAL_ORDER_STATUSES.includes(order.status)) {
+      return { txid, canceled: false, orderStatus: order.status, reason: 'order_not_open' };
+    }
+
+    // Journaled only once Kraken accepted the cancel; a failed cancel leaves the order to normal reconciliation
+    const cancelRequestedAt = new Date().toISOString();
+    this.pendingCancels.set(txid, canceledBy);
+    let result;
+    try {
+      result = await executionService.getOrderService().cancelOrder(txid);
+      stateStore.recordOrder(txid, { canceledBy, cancelRequestedAt, canceledAt: new Date().toISOString() });
+    } finally {
+      this.pendingCancels.delete(txid);
+    }
+    logger.warn(`Order ${txid} canceled by ${canceledBy}`, { txid, asset: order.asset, result });
+    return { txid, canceled: true, orderStatus: order.status, result };
+  }
+
+  // Pause selling for all assets or one asset
+  pause(asset = null, details = {}) {
+    return pauseService.pause(asset, details);
+  }
+
+  // Resume selling. Resuming everything also resets a tripped risk guard.
+  // Balances that arrived while paused are processed as on startup.
+  resume(asset = null, resumedBy = 'operator') {
+    const scopes = pauseService.resume(asset, resumedBy);
+    const riskGuardReset = asset ? false : riskGuard.reset(resumedBy);
+
+    let reprocessed = [];
+    if (scopes.length > 0 || riskGuardReset) {
+      const convertedAsset = asset ? assetRegistry.getStandardName(asset) : null;
+      const fiat = assetRegistry.getStandardName(config.kraken.targetFiat);
+      reprocessed = Object.keys(this.currentBalances)
+        .filter(key => !earnService.classify(key) && assetRegistry.getStandardName(key) !== fiat)
+        .filter(key => convertedAsset ? assetRegistry.getStandardName(key) === convertedAsset : !pauseService.isPaused(key))
+        .filter(key => toDecimal(this.currentBalances[key]).gt(0));
+
+      for (const key of reprocessed) {
+        const standardName = assetRegistry.getStandardName(key);
+        this.enqueueAssetJob(standardName, 'resume', async () => {
+          const sellAmount = this.applySellPolicy(standardName, this.currentBalances[key], key, 'resume');
+          if (sellAmount.gt(0)) {
+            await this.processBalance(standardName, sellAmount);
+          }
+        }).catch(err => {
+          logger.error(`Processing ${standardName} after resume failed`, { error: err.message });
+        });
+      }
+    }
+
+    return {
+      resumed: scopes,
+      riskGuardReset,
+      reprocessed: reprocessed.map(key => assetRegistry.getStandardName(key))
+    };
+  }
+
+  // Pause state: paused by the operator, or by a tripped risk guard
+  getPauseStatus() {
+    const pauses = pauseService.getStatus();
+    let pausedReason = null;
+    if (riskGuard.isTripped()) {
+      pausedReason = riskGuard.trip.reason;
+    } else if (pauses.all) {
+      pausedReason = pauses.all.reason || 'paused_by_operator';
+    }
+    return {
+      paused: pausedReason !== null,
+      pausedReason,
+      pauses
+    };
+  }
+
   // Handle deposit events from WebSocket
-  async handleDeposit(asset, amount) {
+  async handleDeposit(asset, amount, updateInfo = null) {
     logger.info(`Handling deposit event: ${asset} ${amount}`);
-    await this.processBalance(convertAssetName(asset), amount);
+    const convertedAsset = assetRegistry.getStandardName(asset);
+    // Usually already handled through the balance update carrying the same ledger entry
+    if (!this.claimDeposit(convertedAsset, updateInfo, 'deposit_event')) {
+      return;
+    }
+    await this.enqueueAssetJob(convertedAsset, 'deposit_event', async () => {
+      // Like a balance update, the policy is applied to the whole balance, not just the deposit
+      const balance = await this.getBalanceAfterDeposit(convertedAsset, amount);
+      const sellAmount = this.applySellPolicy(convertedAsset, balance, asset, 'deposit_event');
+      if (sellAmount.gt(0)) {
+        await this.sellDeposit(convertedAsset, sellAmount, amount, updateInfo);
+      }
+    }, { amount, ledgerId: updateInfo?.ledger_id });
+  }
+
+  // Total balance of an asset after a deposit event: as Kraken reports it, or
+  // the last known balance plus the deposit if it cannot be read
+  async getBalanceAfterDeposit(asset, amount) {
+    const actualBalance = await krakenService.checkBalanceForAsset(asset);
+    if (actualBalance) {
+      return toDecimal(actualBalance.exact.totalBalance);
+    }
+    logger.warn(`Could not read ${asset} balance after deposit, using last known balance plus deposit`, {
+      asset,
+      lastKnownBalance: toDecimal(this.currentBalances[asset]).toFixed(),
+      depositAmount: toDecimal(amount).toFixed()
+    });
+    return toDecimal(this.currentBalances[asset]).plus(toDecimal(amount));
   }
 
   // Get current balances
@@ -0,0 +1,123 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const stateStore = require('./stateStore');
+const pairIndex = require('./pairIndex');
+const { Decimal, toDecimal } = require('../utils/decimal');
+
+// Tracks per-asset residues below Kraken's minimum order size and finds
+// intermediate pairs they can be swept through
+class DustService {
+  constructor() {
+    this.lastSweep = null;
+  }
+
+  // Record the residue of an asset that could not be sold
+  record(asset, amount, reason) {
+    const current = stateStore.getDust()[asset];
+    const value = toDecimal(amount);
+    if (value.lte(0) || (current && value.eq(toDecimal(current.amount)))) {
+      return;
+    }
+
+    logger.info(`Recording ${value.toFixed()} ${asset} as dust`, {
+      asset,
+      amount: value.toFixed(),
+      previousAmount: current?.amount || 0,
+      minimum: krakenService.getMinimumOrderSize(asset),
+      reason
+    });
+    stateStore.setDust(asset, value.toNumber(), reason);
+  }
+
+  // Forget the dust of an asset once it has been sold
+  clear(asset, reason = 'sold') {
+    if (stateStore.getDust()[asset]) {
+      stateStore.setDust(asset, 0, reason);
+    }
+  }
+
+  getDust() {
+    return stateStore.getDust();
+  }
+
+  // Find a pair that sells the asset into an intermediate asset which itself
+  // has a market to the target fiat, for amounts below the direct pair's minimum
+  findIntermediateRoute(asset, amount) {
+    for (const intermediate of config.autoSell.dust.intermediates) {
+      if (intermediate === asset || !krakenService.hasMarketPair(intermediate)) {
+        continue;
+      }
+
+      const pair = pairIndex.getTradablePair(asset, intermediate);
+      if (pair && toDecimal(amount).gte(toDecimal(pair.ordermin))) {
+        return { pair: pair.key, intermediate, ordermin: pair.ordermin };
+      }
+    }
+
+    return null;
+  }
+
+  // Bid prices of the given pairs from a single Ticker call, made for an API
+  // client (see krakenService.clientCall)
+  async getBidPrices(pairs) {
+    if (pairs.length === 0) {
+      return {};
+    }
+
+    try {
+      const tickerResp = await krakenService.clientCall('Ticker', { pair: pairs.join(',') });
+      const prices = {};
+      for (const [pair, ticker] of Object.entries(tickerResp.result)) {
+        prices[pair] = toDecimal(ticker.b[0]);
+      }
+      return prices;
+    } catch (err) {
+      logger.warn('Could not price dust', { pairs, error: err.message });
+      return {};
+    }
+  }
+
+  // Dust per asset with its minimum order size and estimated fiat value
+  async getReport() {
+    const dustEntries = Object.values(this.getDust());
+    const pairs = new Map(dustEntries.map(dust => [dust.asset, krakenService.resolveMarketPair(dust.asset)?.key]));
+    const prices = await this.getBidPrices([...new Set([...pairs.values()].filter(Boolean))]);
+
+    const assets = [];
+    let totalFiatValue = new Decimal(0);
+
+    for (const dust of dustEntries) {
+      const entry = {
+        ...dust,
+        minimumOrderSize: krakenService.getMinimumOrderSize(dust.asset),
+        price: null,
+        fiatValue: null
+      };
+
+      const price = prices[pairs.get(dust.asset)];
+      if (price !== undefined) {
+        const fiatValue = toDecimal(dust.amount).times(price);
+        entry.price = price.toNumber();
+        entry.fiatValue = fiatValue.toNumber();
+        totalFiatValue = totalFiatValue.plus(fiatValue);
+      }
+
+      assets.push(entry);
+    }
+
+    return {
+      targetFiat: config.kraken.targetFiat,
+      totalFiatValue: totalFiatValue.toNumber(),
+      assets,
+      sweep: {
+        enabled: config.autoSell.dust.sweepEnabled,
+        interval: config.autoSell.dust.sweepInterval,
+        intermediates: config.autoSell.dust.intermediates,
+        lastSweep: this.lastSweep
+      }
+    };
+  }
+}
+
+module.exports = new DustService();
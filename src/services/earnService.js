@@ -0,0 +1,163 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const assetRegistry = require('./assetRegistry');
+const { toDecimal } = require('../utils/decimal');
+
+// How a staking/earn balance can be used
+const EarnClasses = {
+  LOCKED: 'locked',
+  FLEXIBLE: 'flexible',
+  BONDED: 'bonded'
+};
+
+// Balance suffix -> class: staked (.S) is locked, bonded (.B) waits out an
+// unbonding period, opt-in rewards (.F) and auto-earn (.M) can be withdrawn any time
+const SUFFIX_CLASSES = {
+  S: EarnClasses.LOCKED,
+  B: EarnClasses.BONDED,
+  F: EarnClasses.FLEXIBLE,
+  M: EarnClasses.FLEXIBLE
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Classifies staking/earn balances and deallocates flexible Earn allocations so
+// the underlying asset lands in the spot balance and is sold from there
+class EarnService {
+  constructor() {
+    this.unstakes = new Map(); // base asset -> last unstake attempt
+  }
+
+  // Earn class of a balance, or null for a spot balance
+  classify(asset) {
+    const suffix = assetRegistry.getSuffix(asset);
+    if (!suffix) {
+      return null;
+    }
+    const entry = assetRegistry.resolve(asset);
+    return {
+      asset: assetRegistry.getStandardName(asset),
+      base: entry ? entry.base : assetRegistry.getStandardName(assetRegistry.parseSuffix(asset).base),
+      suffix,
+      class: SUFFIX_CLASSES[suffix] || EarnClasses.LOCKED
+    };
+  }
+
+  // Split balances into spot and the earn classes (keyed by standard name)
+  classifyBalances(balances) {
+    const result = {
+      spot: {},
+      earn: {
+        [EarnClasses.LOCKED]: {},
+        [EarnClasses.FLEXIBLE]: {},
+        [EarnClasses.BONDED]: {}
+      }
+    };
+
+    for (const [asset, amount] of Object.entries(balances)) {
+      const earn = this.classify(asset);
+      if (earn) {
+        result.earn[earn.class][earn.asset] = amount;
+      } else {
+        result.spot[assetRegistry.getStandardName(asset)] = amount;
+      }
+    }
+
+    return result;
+  }
+
+  // Deallocate an asset's flexible Earn allocations (up to amount) and wait
+  // until Kraken has moved the funds to the spot balance
+  async unstake(asset, amount) {
+    const earn = this.classify(asset);
+    if (!earn || earn.class !== EarnClasses.FLEXIBLE) {
+      return { asset, outcome: 'not_flexible' };
+    }
+    if (this.unstakes.get(earn.base)?.status === 'pending') {
+      return { asset, outcome: 'already_pending' };
+    }
+
+    const attempt = {
+      asset: earn.asset,
+      base: earn.base,
+      requested: toDecimal(amount).toFixed(),
+      strategies: [],
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.unstakes.set(earn.base, attempt);
+
+    try {
+      const allocations = (await krakenService.getEarnAllocations())
+        .filter(allocation => assetRegistry.getStandardName(allocation.native_asset) === earn.base);
+
+      let remaining = toDecimal(amount);
+      for (const allocation of allocations) {
+        if (remaining.lte(0)) {
+          break;
+        }
+        // Amounts still bonding or queued for exit cannot be deallocated again
+        const allocated = toDecimal(allocation.amount_allocated?.total?.native)
+          .minus(toDecimal(allocation.amount_allocated?.bonding?.native))
+          .minus(toDecimal(allocation.amount_allocated?.exit_queue?.native));
+        const deallocate = remaining.lt(allocated) ? remaining : allocated;
+        if (deallocate.lte(0)) {
+          continue;
+        }
+
+        // Dry runs only report what would be deallocated
+        if (!config.autoSell.dryRun) {
+          await krakenService.deallocateEarn(allocation.strategy_id, deallocate.toFixed());
+        }
+        attempt.strategies.push({ strategyId: allocation.strategy_id, amount: deallocate.toFixed() });
+        remaining = remaining.minus(deallocate);
+      }
+
+      if (attempt.strategies.length === 0) {
+        attempt.status = 'nothing_to_deallocate';
+      } else if (config.autoSell.dryRun) {
+        attempt.status = 'dry_run';
+      } else {
+        attempt.status = await this.waitForDeallocation(attempt.strategies) ? 'completed' : 'timeout';
+      }
+    } catch (err) {
+      attempt.status = 'failed';
+      attempt.error = err.message;
+    }
+    attempt.completedAt = new Date().toISOString();
+
+    const logLevel = attempt.status === 'completed' || attempt.status === 'dry_run' ? 'info' : 'warn';
+    logger[logLevel](`Unstaking ${earn.asset} ${attempt.status}`, attempt);
+    return { asset, outcome: attempt.status, ...attempt };
+  }
+
+  // Poll DeallocateStatus until every strategy has finished or the timeout expires
+  async waitForDeallocation(strategies) {
+    const { deallocatePollInterval, deallocateTimeout } = config.autoSell.earn;
+    const deadline = Date.now() + deallocateTimeout;
+    let pending = strategies.map(strategy => strategy.strategyId);
+
+    while (pending.length > 0 && Date.now() < deadline) {
+      await sleep(deallocatePollInterval);
+      const stillPending = [];
+      for (const strategyId of pending) {
+        if (await krakenService.isDeallocationPending(strategyId)) {
+          stillPending.push(strategyId);
+        }
+      }
+      pending = stillPending;
+    }
+
+    return pending.length === 0;
+  }
+
+  // Last unstake attempt per asset (for the API)
+  getUnstakes() {
+    return Array.from(this.unstakes.values());
+  }
+}
+
+module.exports = new EarnService();
+module.exports.EarnClasses = EarnClasses;
@@ -0,0 +1,353 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const paperTradingService = require('./paperTradingService');
+const pairIndex = require('./pairIndex');
+const orderSizingService = require('./orderSizingService');
+const riskGuard = require('./riskGuard');
+const stateStore = require('./stateStore');
+const { sendLogToApi } = require('../utils/helpers');
+const { Decimal, toDecimal, toAmountNumber, sumAmounts } = require('../utils/decimal');
+
+// Supported execution strategies
+const ExecutionStrategies = {
+  MARKET: 'market',
+  LIMIT: 'limit'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ExecutionService {
+  // Order placement backend: simulated fills in dry-run mode, Kraken otherwise
+  getOrderService() {
+    return config.autoSell.dryRun ? paperTradingService : krakenService;
+  }
+
+  // Refuse to trade pairs that are unknown or not online
+  assertTradable(pair) {
+    const entry = pairIndex.getPairByName(pair);
+    if (!pairIndex.isTradable(entry)) {
+      throw new Error(`Pair ${pair} is not accepting orders (status: ${entry ? entry.status : 'unknown'})`);
+    }
+  }
+
+  // Result for an order that sizing refused, in the shape of a settled order
+  unplaceableResult(pair, volume, sizing) {
+    return {
+      txid: null,
+      txids: [],
+      pair,
+      volume: toAmountNumber(volume),
+      type: 'sell',
+      status: 'unplaceable',
+      reason: sizing.reason,
+      sizing,
+      filledVolume: 0,
+      remainingVolume: toAmountNumber(volume),
+      settled: true
+    };
+  }
+
+  // Result for an order the risk guard refused, in the shape of a settled order
+  blockedResult(pair, volume, check) {
+    return {
+      txid: null,
+      txids: [],
+      pair,
+      volume: toAmountNumber(volume),
+      type: 'sell',
+      status: 'blocked',
+      reason: check.reason,
+      trip: check.trip,
+      filledVolume: 0,
+      remainingVolume: toAmountNumber(volume),
+      settled: true
+    };
+  }
+
+  // Journal an order as soon as it is placed, so an order in flight at a crash
+  // is still followed up (or cancelled) after the restart. `journal` holds the
+  // caller's fields (strategy, execution or route, ...); callers add their
+  // results to the same entry once the order settles.
+  journalOrder(asset, pair, order, journal) {
+    stateStore.recordOrder(order.txid, {
+      asset,
+      pair,
+      volume: toDecimal(order.volume).toNumber(),
+      orderType: order.type,
+      strategy: order.type,
+      dryRun: config.autoSell.dryRun,
+      status: 'placed',
+      placedAt: new Date().toISOString(),
+      ...journal
+    });
+  }
+
+  // Place a plain market sell (used outside the configured strategy, e.g. for route legs and dust)
+  async placeMarketSell(pair, volume, asset = pairIndex.getPairByName(pair)?.base, journal = {}) {
+    this.assertTradable(pair);
+
+    const check = await riskGuard.check(asset, pair, volume);
+    if (!check.allowed) {
+      return this.blockedResult(pair, volume, check);
+    }
+
+    const sizing = await orderSizingService.sizeSellOrder(pair, volume);
+    if (!sizing.placeable) {
+      return this.unplaceableResult(pair, volume, sizing);
+    }
+    const order = await this.getOrderService().placeMarketSellOrder(pair, sizing.volume);
+    this.journalOrder(asset, pair, order, journal);
+    riskGuard.recordOrder(asset, pair, check.notional);
+    return order;
+  }
+
+  // Sell a volume of an asset using the configured execution strategy
+  // (`journal`: fields journaled with each order, see journalOrder)
+  async sell(asset, pair, volume, journal = {}) {
+    const strategy = config.autoSell.execution.strategy;
+    this.assertTradable(pair);
+
+    if (strategy === ExecutionStrategies.LIMIT) {
+      const check = await riskGuard.check(asset, pair, volume);
+      if (!check.allowed) {
+        return this.blockedResult(pair, volume, check);
+      }
+      const result = await this.executeLimitSell(asset, pair, volume, journal);
+      // A limit execution counts as one order, whatever the number of re-prices
+      if (result.txids.length > 0) {
+        riskGuard.recordOrder(asset, pair, check.notional);
+      }
+      return result;
+    }
+
+    return this.placeMarketSell(pair, volume, asset, journal);
+  }
+
+  // Best bid (a Decimal) from the top of the order book
+  async getBestBid(pair) {
+    const book = await krakenService.getOrderBook(pair, 1);
+    if (book.bids.length === 0) {
+      throw new Error(`Order book for ${pair} has no bids`);
+    }
+    return book.bids[0][0];
+  }
+
+  // Lowest acceptable price: the configured absolute floor for the asset, or a
+  // percentage below the best bid seen when the execution started
+  getFloorPrice(asset, referenceBid) {
+    const { floorPercent, floorPrices } = config.autoSell.execution;
+    const relativeFloor = toDecimal(referenceBid).times(new Decimal(100).minus(floorPercent)).div(100);
+    const absoluteFloor = toDecimal(floorPrices[asset]);
+    return Decimal.max(relativeFloor, absoluteFloor);
+  }
+
+  // Poll an order until it closes or the timeout expires
+  async waitForFill(orderService, txid, timeout) {
+    const { pollInterval } = config.autoSell.execution;
+    const deadline = Date.now() + timeout;
+    let status = await orderService.getOrderStatus(txid);
+
+    while (Date.now() < deadline && (!status || status.status === 'open' || status.status === 'pending')) {
+      await sleep(Math.min(pollInterval, Math.max(deadline - Date.now(), 0)));
+      status = await orderService.getOrderStatus(txid);
+    }
+
+    return status;
+  }
+
+  // Place a limit sell at best bid minus the slippage tolerance, cancelling and
+  // re-pricing unfilled volume until it is sold or the price hits the floor
+  async executeLimitSell(asset, pair, volume, journal = {}) {
+    const referenceBid = await this.getBestBid(pair);
+    const floorPrice = this.getFloorPrice(asset, referenceBid);
+
+    const result = {
+      txid: null,
+      txids: [],
+      pair,
+      volume: toAmountNumber(volume),
+      type: 'limit',
+      ordertype: 'sell',
+      strategy: ExecutionStrategies.LIMIT,
+      status: 'pending',
+      filledVolume: 0,
+      remainingVolume: toAmountNumber(volume),
+      floorPrice: floorPrice.toNumber(),
+      settled: true
+    };
+
+    try {
+      return await this.runLimitAttempts(asset, pair, volume, referenceBid, floorPrice, result, journal);
+    } catch (err) {
+      // Orders placed before the failure have been settled into the result:
+      // the caller must only sell what is left
+      if (result.txids.length > 0) {
+        err.partialResult = result;
+      }
+      throw err;
+    }
+  }
+
+  // Place, wait for and re-price the limit orders of an execution, updating result
+  async runLimitAttempts(asset, pair, volume, referenceBid, floorPrice, result, journal) {
+    const { maxSlippagePercent, fillTimeout, maxReprices } = config.autoSell.execution;
+    const orderService = this.getOrderService();
+    const minimumOrderSize = krakenService.getMinimumOrderSize(asset);
+    let filledVolume = new Decimal(0);
+    let remainingVolume = toDecimal(volume);
+
+    for (let attempt = 0; attempt <= maxReprices; attempt++) {
+      const bestBid = attempt === 0 ? referenceBid : await this.getBestBid(pair);
+      const limitPrice = orderSizingService.roundLimitPrice(pair, bestBid.times(new Decimal(100).minus(maxSlippagePercent)).div(100));
+
+      if (limitPrice.lt(floorPrice)) {
+        result.status = 'refused';
+        await this.raiseAlert('limit_price_below_floor', {
+          asset,
+          pair,
+          bestBid: bestBid.toNumber(),
+          limitPrice: limitPrice.toNumber(),
+          floorPrice: floorPrice.toNumber(),
+          referenceBid: referenceBid.toNumber(),
+          filledVolume: result.filledVolume,
+          remainingVolume: result.remainingVolume
+        });
+        return result;
+      }
+
+      const sizing = await orderSizingService.sizeSellOrder(pair, remainingVolume, limitPrice);
+      if (!sizing.placeable) {
+        // Nothing sold yet: the order cannot be placed at all. Otherwise the
+        // unsold remainder is too small to re-price and is left as a residual.
+        if (filledVolume.isZero()) {
+          return this.unplaceableResult(pair, volume, sizing);
+        }
+        result.status = 'filled';
+        return result;
+      }
+
+      const order = await orderService.placeLimitSellOrder(pair, sizing.volume, sizing.price);
+      this.journalOrder(asset, pair, order, { ...journal, limitPrice: sizing.price });
+      result.txid = order.txid;
+      result.txids.push(order.txid);
+
+      let status = await this.waitForFill(orderService, order.txid, fillTimeout);
+      let cancelFailed = false;
+      if (!status || status.status !== 'closed') {
+        logger.info(`Limit order ${order.txid} not filled within ${fillTimeout}ms, cancelling`, {
+          asset,
+          pair,
+          limitPrice: limitPrice.toFixed(),
+          attempt: attempt + 1,
+          maxReprices
+        });
+        try {
+          await orderService.cancelOrder(order.txid);
+        } catch (err) {
+          // The order may have filled just before the cancel (EOrder:Unknown
+          // order): its state queried below still counts
+          cancelFailed = true;
+          logger.warn(`Cancelling limit order ${order.txid} failed, checking its final state`, {
+            asset,
+            pair,
+            txid: order.txid,
+            error: err.message
+          });
+        }
+        status = await orderService.getOrderStatus(order.txid);
+      }
+
+      const filled = status?.exact?.volumeExecuted ?? status?.volumeExecuted ?? 0;
+      // Without a status the order stays open in the journal and is followed up after a restart
+      if (status) {
+        stateStore.recordOrder(order.txid, { status: status.status, volumeExecuted: toDecimal(filled).toNumber() });
+      }
+      filledVolume = filledVolume.plus(toDecimal(filled));
+      remainingVolume = Decimal.max(remainingVolume.minus(toDecimal(filled)), 0);
+      result.filledVolume = filledVolume.toNumber();
+      result.remainingVolume = remainingVolume.toNumber();
+
+      logger.info(`Limit sell attempt ${attempt + 1} for ${asset} finished`, {
+        asset,
+        pair,
+        txid: order.txid,
+        limitPrice: limitPrice.toFixed(),
+        filled,
+        filledVolume: filledVolume.toFixed(),
+        remainingVolume: remainingVolume.toFixed()
+      });
+
+      if (remainingVolume.lt(minimumOrderSize)) {
+        result.status = 'filled';
+        return result;
+      }
+
+      // An order that could not be cancelled may still be working: re-pricing
+      // would put up the same volume twice. It stays open in the journal and is
+      // followed up from there after a restart.
+      if (cancelFailed && (!status || ['open', 'pending'].includes(status.status))) {
+        result.status = 'partial';
+        result.openTxid = order.txid;
+        logger.error(`Limit order ${order.txid} could not be cancelled, stopping the execution for ${asset}`, {
+          asset,
+          pair,
+          txid: order.txid,
+          orderStatus: status?.status || null,
+          filledVolume: result.filledVolume,
+          remainingVolume: result.remainingVolume
+        });
+        return result;
+      }
+    }
+
+    result.status = 'partial';
+    logger.warn(`Limit sell for ${asset} not completed after ${maxReprices} re-prices`, {
+      asset,
+      pair,
+      filledVolume: result.filledVolume,
+      remainingVolume: result.remainingVolume
+    });
+    return result;
+  }
+
+  // Wait for orders to settle and sum their executed volume, cost and fee
+  async summarizeFills(txids) {
+    const orderService = this.getOrderService();
+    const statuses = [];
+
+    for (const txid of txids) {
+      const status = await this.waitForFill(orderService, txid, config.autoSell.execution.fillTimeout);
+      if (status) {
+        statuses.push(status);
+      }
+    }
+
+    return {
+      volumeExecuted: sumAmounts(statuses.map(status => status.exact?.volumeExecuted ?? status.volumeExecuted)).toNumber(),
+      cost: sumAmounts(statuses.map(status => status.exact?.usdValue ?? status.usdValue)).toNumber(),
+      fee: sumAmounts(statuses.map(status => status.fee)).toNumber()
+    };
+  }
+
+  // Raise an operator alert (error log plus external log event if enabled)
+  async raiseAlert(alertType, details) {
+    logger.error(`🚨 ALERT: ${alertType}`, details);
+
+    if (config.logging.api.enabled) {
+      try {
+        await sendLogToApi({
+          eventType: 'alert',
+          alertType,
+          timestamp: new Date().toISOString(),
+          ...details
+        });
+      } catch (err) {
+        logger.error('Failed to send alert to API', { error: err.message });
+      }
+    }
+  }
+}
+
+module.exports = new ExecutionService();
+module.exports.ExecutionStrategies = ExecutionStrategies;
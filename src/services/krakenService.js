@@ -1,7 +1,13 @@
 const KrakenClient = require('kraken-api');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { withRetry, RateLimiter } = require('../utils/helpers');
+const { withRetry } = require('../utils/helpers');
+const { RateLimiter, Lanes, isPublicMethod } = require('../utils/rateLimiter');
+const { toKrakenError } = require('../utils/krakenErrors');
+const { toDecimal, toAmountNumber, toAmountString } = require('../utils/decimal');
+const assetRegistry = require('./assetRegistry');
+const pairIndex = require('./pairIndex');
+const nonceManager = require('./nonceManager');
 
 class KrakenService {
   constructor() {
@@ -19,145 +25,92 @@ class KrakenService {
     this.rateLimiter = new RateLimiter();
     this.pairs = {};
     this.minimumOrderSizes = {};
+    this.registryRefreshInterval = null;
   }
 
-  // Fetch tradable pairs and minimum order sizes
-  async fetchTradablePairs() {
+  // Load Assets and AssetPairs into the asset registry and rebuild the
+  // minimum order sizes for pairs quoted in the target fiat
+  async loadAssetRegistry() {
     return withRetry(
       async () => {
-        await this.rateLimiter.waitForSlot();
-        const pairsResp = await this.kraken.api('AssetPairs');
+        const assetsResp = await this.request('Assets');
+        const pairsResp = await this.request('AssetPairs');
+
+        assetRegistry.load(assetsResp.result, pairsResp.result);
+        pairIndex.load(pairsResp.result);
         this.pairs = pairsResp.result;
-        
-        // Build minimum order sizes mapping for ALL pairs (legacy method)
-        for (const [pairName, pairInfo] of Object.entries(this.pairs)) {
-          // Convert target fiat to Kraken format for comparison
-          const krakenTargetFiat = this.getOriginalAssetName(config.kraken.targetFiat);
-          
+
+        const krakenTargetFiat = assetRegistry.getKrakenCode(config.kraken.targetFiat);
+        const minimumOrderSizes = {};
+        for (const pairInfo of Object.values(this.pairs)) {
           if (pairInfo.base && pairInfo.quote === krakenTargetFiat && pairInfo.ordermin) {
-            // Convert Kraken asset name back to standard name for storage
-            const standardAssetName = this.getStandardAssetName(pairInfo.base);
-            this.minimumOrderSizes[standardAssetName] = parseFloat(pairInfo.ordermin);
-            
-            // Also store with original Kraken name as backup
-            this.minimumOrderSizes[pairInfo.base] = parseFloat(pairInfo.ordermin);
-            
-            logger.debug(`Stored minimum order size for ${standardAssetName} (${pairInfo.base}): ${pairInfo.ordermin}`);
+            // Stored under both the standard and the Kraken name
+            minimumOrderSizes[assetRegistry.getStandardName(pairInfo.base)] = parseFloat(pairInfo.ordermin);
+            minimumOrderSizes[pairInfo.base] = parseFloat(pairInfo.ordermin);
           }
         }
-        
-        // Debug: Log all XDG pairs to see what's actually available
-        const allXDGPairs = Object.keys(this.pairs).filter(p => p.includes('XDG'));
-        logger.info('All XDG pairs from Kraken API:', allXDGPairs);
-        
-        // Debug: Check for any USD pairs that might be DOGE-related
-        const allUSDPairs = Object.keys(this.pairs).filter(p => p.endsWith('USD'));
-        const dogeRelatedUSDPairs = allUSDPairs.filter(p => p.includes('XDG') || p.includes('DOGE'));
-        logger.info('All USD pairs:', allUSDPairs.slice(0, 20));
-        logger.info('DOGE/XDG related USD pairs:', dogeRelatedUSDPairs);
-        
-        // Debug: Check what pairs are available for XXDG specifically
-        const xxdgPairs = Object.keys(this.pairs).filter(p => p.startsWith('XXDG'));
-        logger.info('All XXDG pairs:', xxdgPairs);
-        
-        // Debug: Check what pairs are available for ZUSD specifically
-        const zusdPairs = Object.keys(this.pairs).filter(p => p.endsWith('ZUSD'));
-        logger.info('All ZUSD pairs:', zusdPairs.slice(0, 10));
-        
-        // Debug: Check for XXDGZUSD specifically
-        const xxdgzusdPair = this.pairs['XXDGZUSD'];
-        if (xxdgzusdPair) {
-          logger.info('XXDGZUSD pair found:', xxdgzusdPair);
-        } else {
-          logger.warn('XXDGZUSD pair NOT found in available pairs');
-        }
-        
-        // Debug: Check XDGUSD pair specifically
-        const xdgusdPair = this.pairs['XDGUSD'];
-        if (xdgusdPair) {
-          logger.info('XDGUSD pair found:', {
-            base: xdgusdPair.base,
-            quote: xdgusdPair.quote,
-            ordermin: xdgusdPair.ordermin,
-            minimum: this.minimumOrderSizes['DOGE'],
-            minimumXXDG: this.minimumOrderSizes['XXDG']
-          });
-        } else {
-          logger.warn('XDGUSD pair NOT found in available pairs');
-        }
-        
+        this.minimumOrderSizes = minimumOrderSizes;
+
         logger.info('Tradable pairs and minimum order sizes loaded', {
           pairCount: Object.keys(this.pairs).length,
+          assetCount: assetRegistry.getAssets().length,
           minimumOrderSizesCount: Object.keys(this.minimumOrderSizes).length,
-          minimumOrderSizes: this.minimumOrderSizes,
-          availablePairs: Object.keys(this.pairs).slice(0, 20), // Show first 20 pairs
-          targetFiat: config.kraken.targetFiat,
-          dogePairs: Object.keys(this.pairs).filter(p => p.includes('DOGE')), // Show all DOGE pairs
-          xdgPairs: Object.keys(this.pairs).filter(p => p.includes('XDG')), // Show all XDG pairs
-          xdgPairsCaseInsensitive: Object.keys(this.pairs).filter(p => p.toLowerCase().includes('xdg')), // Case insensitive
-          allPairsWithUSD: Object.keys(this.pairs).filter(p => p.includes('USD') && (p.includes('XDG') || p.includes('DOGE'))), // All DOGE/XDG USD pairs
-          solPairs: Object.keys(this.pairs).filter(p => p.includes('SOL')), // Show all SOL pairs
-          btcPairs: Object.keys(this.pairs).filter(p => p.includes('XBT') || p.includes('BTC')), // Show all BTC pairs
-          usdPairs: Object.keys(this.pairs).filter(p => p.endsWith('USD')).slice(0, 10) // Show first 10 USD pairs
+          targetFiat: config.kraken.targetFiat
         });
       },
-      'FetchTradablePairs'
+      'LoadAssetRegistry'
     );
   }
 
-  // Fetch minimum order sizes only for specific assets (optimized)
-  async fetchMinimumOrderSizesForAssets(assets) {
-    return withRetry(
-      async () => {
-        await this.rateLimiter.waitForSlot();
-        const pairsResp = await this.kraken.api('AssetPairs');
-        this.pairs = pairsResp.result;
-        
-        // Convert target fiat to Kraken format for comparison
-        const krakenTargetFiat = this.getOriginalAssetName(config.kraken.targetFiat);
-        
-        // Only process minimum order sizes for assets we have
-        for (const asset of assets) {
-          // Skip target fiat currency
-          if (asset === config.kraken.targetFiat) {
-            continue;
-          }
-          
-          // Convert asset to Kraken format for pair lookup
-          const krakenAsset = this.getOriginalAssetName(asset);
-          
-          // Look for pairs that match our asset and target fiat
-          for (const [pairName, pairInfo] of Object.entries(this.pairs)) {
-            if (pairInfo.base === krakenAsset && pairInfo.quote === krakenTargetFiat && pairInfo.ordermin) {
-              // Convert Kraken asset name back to standard name for storage
-              const standardAssetName = this.getStandardAssetName(pairInfo.base);
-              this.minimumOrderSizes[standardAssetName] = parseFloat(pairInfo.ordermin);
-              
-              // Also store with original Kraken name as backup
-              this.minimumOrderSizes[pairInfo.base] = parseFloat(pairInfo.ordermin);
-              
-              logger.debug(`Stored minimum order size for ${standardAssetName} (${pairInfo.base}): ${pairInfo.ordermin}`);
-              break; // Found the pair, no need to continue searching
-            }
-          }
-        }
-        
-        logger.info('Minimum order sizes loaded for account assets', {
-          assetCount: assets.length,
-          minimumOrderSizesCount: Object.keys(this.minimumOrderSizes).length,
-          minimumOrderSizes: this.minimumOrderSizes,
-          targetFiat: config.kraken.targetFiat
-        });
-      },
-      'FetchMinimumOrderSizesForAssets'
-    );
+  // Periodically reload the asset registry so new listings and pair changes are picked up
+  startAssetRegistryRefresh() {
+    if (this.registryRefreshInterval) {
+      return;
+    }
+    this.registryRefreshInterval = setInterval(() => {
+      this.loadAssetRegistry().catch(err => {
+        logger.error('Failed to refresh asset registry', { error: err.message });
+      });
+    }, config.kraken.assetRefreshInterval);
+  }
+
+  // Call a Kraken endpoint once the rate limiter admits it. Options: lane
+  // (priority, by method by default), maxWait, and privateMethod for endpoints
+  // the kraken-api client does not whitelist. Private calls get their nonce
+  // from the nonce manager right before they are sent. Failures are thrown as
+  // KrakenErrors; rate limit errors are also reported back to the limiter so
+  // it slows down.
+  async request(method, params = {}, { lane = null, maxWait = null, privateMethod = false } = {}) {
+    const target = { pair: params.pair, txid: params.txid };
+    await this.rateLimiter.acquire(method, { ...target, lane, maxWait });
+    try {
+      const send = requestParams => (privateMethod
+        ? this.kraken.privateMethod(method, requestParams)
+        : this.kraken.api(method, requestParams));
+      const response = privateMethod || !isPublicMethod(method)
+        ? await nonceManager.withNonce(nonce => send({ ...params, nonce }))
+        : await send(params);
+      if (method === 'AddOrder') {
+        this.rateLimiter.recordOrder(response.result.txid[0], params.pair);
+      }
+      return response;
+    } catch (err) {
+      const krakenError = toKrakenError(err, method);
+      this.rateLimiter.onError(method, krakenError, target);
+      throw krakenError;
+    }
+  }
+
+  // Kraken call made for an API client: it goes behind auto-sell traffic and
+  // throws a rate limit error instead of waiting too long for capacity
+  async clientCall(method, params) {
+    return this.request(method, params, { lane: Lanes.CLIENT, maxWait: config.apiRateLimit.krakenMaxWait });
   }
 
   // Get order status
   async getOrderStatus(txid) {
     try {
-      await this.rateLimiter.waitForSlot();
-      const orderResp = await this.kraken.api('QueryOrders', {
+      const orderResp = await this.request('QueryOrders', {
         txid: txid,
         trades: true
       });
@@ -168,14 +121,16 @@ class KrakenService {
         return null;
       }
 
-      const usdValue = parseFloat(order.cost) || 0;
-      const volume = parseFloat(order.vol) || 0;
-      const price = parseFloat(order.price) || 0;
+      const usdValue = toAmountNumber(order.cost);
+      const volume = toAmountNumber(order.vol);
+      const volumeExecuted = toAmountNumber(order.vol_exec);
+      const price = toAmountNumber(order.price);
 
       logger.info(`Order ${txid} status:`, {
         status: order.status,
         description: order.descr?.order,
         volume: volume,
+        volumeExecuted: volumeExecuted,
         price: price,
         usdValue: usdValue,
         fee: order.fee,
@@ -186,9 +141,17 @@ class KrakenService {
         status: order.status,
         usdValue: usdValue,
         volume: volume,
+        volumeExecuted: volumeExecuted,
         price: price,
         fee: order.fee,
-        trades: order.trades
+        trades: order.trades,
+        exact: {
+          usdValue: toAmountString(order.cost),
+          volume: toAmountString(order.vol),
+          volumeExecuted: toAmountString(order.vol_exec),
+          price: toAmountString(order.price),
+          fee: toAmountString(order.fee)
+        }
       };
     } catch (err) {
       logger.error(`Error getting order status for ${txid}:`, err.message);
@@ -196,12 +159,51 @@ class KrakenService {
     }
   }
 
+  // Get ticker information for a pair
+  async getTicker(pair) {
+    return withRetry(
+      async () => {
+        const tickerResp = await this.request('Ticker', { pair });
+        const ticker = Object.values(tickerResp.result)[0];
+        if (!ticker) {
+          throw new Error(`No ticker data returned for ${pair}`);
+        }
+        return {
+          ask: parseFloat(ticker.a[0]),
+          bid: parseFloat(ticker.b[0]),
+          last: parseFloat(ticker.c[0]),
+          volume24h: parseFloat(ticker.v?.[1]) || 0,
+          vwap24h: parseFloat(ticker.p?.[1]) || 0
+        };
+      },
+      'GetTicker'
+    );
+  }
+
+  // Get order book for a pair (bids/asks as [price, volume] Decimals, best first)
+  async getOrderBook(pair, count = 25) {
+    return withRetry(
+      async () => {
+        const depthResp = await this.request('Depth', { pair, count });
+        const book = Object.values(depthResp.result)[0];
+        if (!book) {
+          throw new Error(`No order book returned for ${pair}`);
+        }
+        const toLevels = levels => (levels || []).map(([price, volume]) => [toDecimal(price), toDecimal(volume)]);
+        return {
+          bids: toLevels(book.bids),
+          asks: toLevels(book.asks)
+        };
+      },
+      'GetOrderBook'
+    );
+  }
+
   // Get trade details
   async getTradeDetails(tradeIds) {
     return withRetry(
       async () => {
-        await this.rateLimiter.waitForSlot();
-        const tradesResp = await this.kraken.api('QueryTrades', {
+        const tradesResp = await this.request('QueryTrades', {
           txid: tradeIds.join(',')
         });
         return tradesResp.result;
@@ -214,8 +216,7 @@ class KrakenService {
   async getWebSocketToken() {
     return withRetry(
       async () => {
-        await this.rateLimiter.waitForSlot();
-        const tokenResp = await this.kraken.api('GetWebSocketsToken');
+        const tokenResp = await this.request('GetWebSocketsToken');
         const token = tokenResp.result.token;
         logger.info('WebSocket token received', {
           tokenPreview: token.substring(0, 12) + '...'
@@ -230,81 +231,216 @@ class KrakenService {
   async getAccountBalance() {
     return withRetry(
       async () => {
-        await this.rateLimiter.waitForSlot();
-        const balanceResp = await this.kraken.api('Balance');
+        const balanceResp = await this.request('Balance');
         return balanceResp.result;
       },
       'GetAccountBalance'
     );
   }
 
-  // Manually check balance for debugging
-  async checkBalanceForAsset(asset) {
+  // Manually check balance for debugging. With `client` the call is made for an
+  // API client (see clientCall) and its errors are thrown instead of returning null.
+  async checkBalanceForAsset(asset, { client = false } = {}) {
     try {
-      await this.rateLimiter.waitForSlot();
-      const balanceResp = await this.kraken.api('Balance');
+      const balanceResp = client ? await this.clientCall('Balance') : await this.request('Balance');
       const balance = balanceResp.result;
       
-      // Convert asset names for comparison
-      const krakenAsset = this.getOriginalAssetName(asset);
-      const standardAsset = this.getStandardAssetName(asset);
+      // Balances are keyed by Kraken code; older accounts may also carry the standard name
+      const krakenAsset = assetRegistry.getKrakenCode(asset);
+      const standardAsset = assetRegistry.getStandardName(asset);
       
-      const krakenBalance = parseFloat(balance[krakenAsset] || 0);
-      const standardBalance = parseFloat(balance[standardAsset] || 0);
+      const krakenBalance = toDecimal(balance[krakenAsset]);
+      const standardBalance = standardAsset !== krakenAsset ? toDecimal(balance[standardAsset]) : toDecimal(0);
+      const totalBalance = krakenBalance.plus(standardBalance);
       
       logger.info(`Manual balance check for ${asset}:`, {
         asset,
         krakenAsset,
         standardAsset,
-        krakenBalance,
-        standardBalance,
+        krakenBalance: krakenBalance.toFixed(),
+        standardBalance: standardBalance.toFixed(),
         krakenBalanceRaw: balance[krakenAsset],
-        standardBalanceRaw: balance[standardAsset],
-        allBalances: balance
+        standardBalanceRaw: balance[standardAsset]
       });
       
       return {
         krakenAsset,
         standardAsset,
-        krakenBalance,
-        standardBalance,
-        totalBalance: krakenBalance + standardBalance
+        krakenBalance: krakenBalance.toNumber(),
+        standardBalance: standardBalance.toNumber(),
+        totalBalance: totalBalance.toNumber(),
+        exact: {
+          krakenBalance: krakenBalance.toFixed(),
+          standardBalance: standardBalance.toFixed(),
+          totalBalance: totalBalance.toFixed()
+        }
       };
     } catch (err) {
       logger.error(`Error checking balance for ${asset}:`, err.message);
+      if (client) {
+        throw err;
+      }
       return null;
     }
   }
 
-  // Place a market sell order
+  // Place a market sell order. Not retried: Kraken may have accepted an order
+  // whose request failed, and placing it again could sell twice.
   async placeMarketSellOrder(pair, volume) {
+    const orderResp = await this.request('AddOrder', {
+      pair: pair,
+      type: 'sell',
+      ordertype: 'market',
+      volume: volume.toString()
+    });
+
+    const txid = orderResp.result.txid[0];
+    logger.info(`Market sell order placed`, {
+      pair,
+      volume,
+      txid
+    });
+
+    return {
+      txid,
+      status: 'pending',
+      pair,
+      volume,
+      type: 'market',
+      ordertype: 'sell'
+    };
+  }
+
+  // Place a limit sell order. Not retried: Kraken may have accepted an order
+  // whose request failed, and placing it again could sell twice.
+  async placeLimitSellOrder(pair, volume, price) {
+    const orderResp = await this.request('AddOrder', {
+      pair: pair,
+      type: 'sell',
+      ordertype: 'limit',
+      price: price.toString(),
+      volume: volume.toString()
+    });
+
+    const txid = orderResp.result.txid[0];
+    logger.info(`Limit sell order placed`, {
+      pair,
+      volume,
+      price,
+      txid
+    });
+
+    return {
+      txid,
+      status: 'pending',
+      pair,
+      volume,
+      price,
+      type: 'limit',
+      ordertype: 'sell'
+    };
+  }
+
+  // Cancel an open order
+  async cancelOrder(txid) {
+    return withRetry(
+      async () => {
+        const cancelResp = await this.request('CancelOrder', { txid });
+        logger.info(`Order ${txid} cancel requested`, {
+          txid,
+          count: cancelResp.result.count,
+          pending: cancelResp.result.pending
+        });
+        return cancelResp.result;
+      },
+      'CancelOrder'
+    );
+  }
+
+  // Withdrawal method, limit and fee for an amount to a withdrawal key
+  async getWithdrawInfo(asset, key, amount) {
     return withRetry(
       async () => {
-        await this.rateLimiter.waitForSlot();
-        const orderResp = await this.kraken.api('AddOrder', {
-          pair: pair,
-          type: 'sell',
-          ordertype: 'market',
-          volume: volume.toString()
+        const infoResp = await this.request('WithdrawInfo', {
+          asset: assetRegistry.getKrakenCode(asset),
+          key,
+          amount: amount.toString()
         });
+        return infoResp.result;
+      },
+      'GetWithdrawInfo'
+    );
+  }
 
-        const txid = orderResp.result.txid[0];
-        logger.info(`Market sell order placed`, {
-          pair,
-          volume,
-          txid
+  // Withdraw to a pre-registered withdrawal key. Not retried: a request that
+  // timed out may still have been executed, and retrying could withdraw twice.
+  async withdraw(asset, key, amount) {
+    const withdrawResp = await this.request('Withdraw', {
+      asset: assetRegistry.getKrakenCode(asset),
+      key,
+      amount: amount.toString()
+    });
+    logger.info(`Withdrawal requested`, {
+      asset,
+      key,
+      amount,
+      refid: withdrawResp.result.refid
+    });
+    return withdrawResp.result;
+  }
+
+  // Status of recent withdrawals of an asset
+  async getWithdrawStatus(asset) {
+    return withRetry(
+      async () => {
+        const statusResp = await this.request('WithdrawStatus', {
+          asset: assetRegistry.getKrakenCode(asset)
         });
+        return statusResp.result || [];
+      },
+      'GetWithdrawStatus'
+    );
+  }
 
-        return {
-          txid,
-          status: 'pending',
-          pair,
-          volume,
-          type: 'market',
-          ordertype: 'sell'
-        };
+  // Earn allocations per strategy. The kraken-api client only whitelists the
+  // classic endpoints, so the Earn calls go through privateMethod directly.
+  async getEarnAllocations() {
+    return withRetry(
+      async () => {
+        const allocationsResp = await this.request('Earn/Allocations', {
+          hide_zero_allocations: true
+        }, { privateMethod: true });
+        return allocationsResp.result.items || [];
+      },
+      'GetEarnAllocations'
+    );
+  }
+
+  // Request deallocation of an amount from an Earn strategy (completes
+  // asynchronously). Not retried: a failed request may still have been carried
+  // out, and retrying could deallocate twice.
+  async deallocateEarn(strategyId, amount) {
+    const deallocateResp = await this.request('Earn/Deallocate', {
+      strategy_id: strategyId,
+      amount: amount.toString()
+    }, { privateMethod: true });
+    logger.info(`Earn deallocation requested`, {
+      strategyId,
+      amount
+    });
+    return deallocateResp.result;
+  }
+
+  // Whether a deallocation from an Earn strategy is still pending
+  async isDeallocationPending(strategyId) {
+    return withRetry(
+      async () => {
+        const statusResp = await this.request('Earn/DeallocateStatus', {
+          strategy_id: strategyId
+        }, { privateMethod: true });
+        return !!statusResp.result.pending;
       },
-      'PlaceMarketSellOrder'
+      'GetDeallocateStatus'
     );
   }
 
@@ -332,182 +468,35 @@ class KrakenService {
     return assetSpecificMinimums[asset] || 0.001; // Generic fallback
   }
 
-  // Check if asset has a market pair
-  hasMarketPair(asset) {
-    // Skip target fiat currency
-    if (asset === config.kraken.targetFiat) {
-      return false;
+  // Direct pair selling an asset for the target fiat (with its status), or null
+  resolveMarketPair(asset) {
+    if (assetRegistry.getStandardName(asset) === assetRegistry.getStandardName(config.kraken.targetFiat)) {
+      return null;
     }
+    return pairIndex.getPair(asset, config.kraken.targetFiat);
+  }
 
-    // Get Kraken asset name for the asset
-    const krakenAsset = this.getOriginalAssetName(asset);
-    const krakenQuote = this.getOriginalAssetName(config.kraken.targetFiat);
-    
-    // Try different pair name formats for Kraken
-    const pairNames = [
-      // Direct asset-quote pairs (most common)
-      `${krakenAsset}${krakenQuote}`, // XETHZUSD, XDGZUSD
-      `${asset}${config.kraken.targetFiat}`, // ETHUSD, DOGEUSD
-      
-      // Alternative formats
-      `${krakenAsset}${config.kraken.targetFiat}`, // XETHUSD, XDGUSD
-      `${asset}${krakenQuote}`, // ETHZUSD, DOGEZUSD
-      
-      // Standard USD pairs
-      `${asset}USD`, // ETHUSD, DOGEUSD
-      `${krakenAsset}USD`, // XETHUSD, XDGUSD
-      
-      // Special handling for DOGE (uses XDG in pair names)
-      ...(asset === 'DOGE' ? ['XDGUSD', 'XDGZUSD'] : []),
-      ...(krakenAsset === 'XXDG' ? ['XDGUSD', 'XDGZUSD'] : []),
-      
-      // Special handling for ETH (uses XETH in pair names)
-      ...(asset === 'ETH' ? ['XETHUSD', 'XETHZUSD'] : []),
-      ...(krakenAsset === 'XETH' ? ['XETHUSD', 'XETHZUSD'] : [])
-    ];
-    
-    const hasPair = pairNames.some(pairName => !!this.pairs[pairName]);
-    const foundPair = pairNames.find(pairName => !!this.pairs[pairName]);
-    
-    logger.debug(`Checking market pair for ${asset}`, {
-      asset,
-      krakenAsset,
-      targetFiat: config.kraken.targetFiat,
-      krakenQuote,
-      triedPairs: pairNames,
-      hasPair,
-      foundPair,
-      availablePairs: Object.keys(this.pairs).filter(p => p.includes(asset) || p.includes(krakenAsset)).slice(0, 5)
-    });
-    return hasPair;
+  // Check if asset has a market pair that currently accepts orders
+  hasMarketPair(asset) {
+    return this.getMarketPair(asset) !== null;
   }
 
-  // Get market pair name for an asset
+  // Get the market pair for an asset; pairs that are not online are never traded
   getMarketPair(asset) {
-    // Skip target fiat currency
-    if (asset === config.kraken.targetFiat) {
+    const pair = this.resolveMarketPair(asset);
+    if (!pair) {
+      logger.debug(`No ${config.kraken.targetFiat} pair for ${asset}`, { asset });
       return null;
     }
-
-    // Get Kraken asset name for the asset
-    const krakenAsset = this.getOriginalAssetName(asset);
-    const krakenQuote = this.getOriginalAssetName(config.kraken.targetFiat);
-    
-    // Try different pair name formats for Kraken
-    const pairNames = [
-      // Direct asset-quote pairs (most common)
-      `${krakenAsset}${krakenQuote}`, // XETHZUSD, XDGZUSD
-      `${asset}${config.kraken.targetFiat}`, // ETHUSD, DOGEUSD
-      
-      // Alternative formats
-      `${krakenAsset}${config.kraken.targetFiat}`, // XETHUSD, XDGUSD
-      `${asset}${krakenQuote}`, // ETHZUSD, DOGEZUSD
-      
-      // Standard USD pairs
-      `${asset}USD`, // ETHUSD, DOGEUSD
-      `${krakenAsset}USD`, // XETHUSD, XDGUSD
-      
-      // Special handling for DOGE (uses XDG in pair names)
-      ...(asset === 'DOGE' ? ['XDGUSD', 'XDGZUSD'] : []),
-      ...(krakenAsset === 'XXDG' ? ['XDGUSD', 'XDGZUSD'] : []),
-      
-      // Special handling for ETH (uses XETH in pair names)
-      ...(asset === 'ETH' ? ['XETHUSD', 'XETHZUSD'] : []),
-      ...(krakenAsset === 'XETH' ? ['XETHUSD', 'XETHZUSD'] : [])
-    ];
-    
-    const foundPair = pairNames.find(pairName => !!this.pairs[pairName]);
-    
-    // Log the found pair for debugging
-    if (foundPair) {
-      logger.debug(`Found market pair for ${asset}: ${foundPair}`, {
+    if (!pairIndex.isTradable(pair)) {
+      logger.warn(`Pair ${pair.key} for ${asset} is ${pair.status}, not trading it`, {
         asset,
-        krakenAsset,
-        targetFiat: config.kraken.targetFiat,
-        foundPair,
-        availablePairs: Object.keys(this.pairs).filter(p => p.includes(asset) || p.includes(krakenAsset)).slice(0, 5)
+        pair: pair.key,
+        status: pair.status
       });
+      return null;
     }
-    
-    return foundPair || null;
-  }
-
-  // Get original Kraken asset name from converted name
-  getOriginalAssetName(asset) {
-    const reverseConversions = {
-      'ETH': 'XETH',
-      'BTC': 'XXBT',
-      'DOGE': 'XXDG',
-      'USD': 'ZUSD',
-      'USDT': 'USDT',
-      'USDC': 'USDC',
-      'EUR': 'ZEUR',
-      'GBP': 'ZGBP',
-      'CAD': 'ZCAD',
-      'AUD': 'ZAUD',
-      'JPY': 'ZJPY',
-      'CHF': 'CHF',
-      'XRP': 'XXRP',
-      'XLM': 'XXLM',
-      'XMR': 'XXMR',
-      'LTC': 'XLTC',
-      'ETC': 'XETC',
-      'REP': 'XREP',
-      'MLN': 'XMLN',
-      'ZEC': 'XZEC'
-    };
-    return reverseConversions[asset] || asset;
-  }
-
-  // Get Kraken pair name for an asset (different from asset name)
-  getPairName(asset) {
-    const pairConversions = {
-      'DOGE': 'XDG',  // DOGE uses XDG in pair names, not XXDG
-      'BTC': 'XBT',   // BTC uses XBT in pair names, not XXBT
-      'ETH': 'ETH',   // ETH uses ETH in pair names
-      'USD': 'ZUSD',  // USD uses ZUSD in pair names, not USD
-      'USDT': 'USDT',
-      'USDC': 'USDC',
-      'EUR': 'EUR',   // EUR uses EUR in pair names, not ZEUR
-      'GBP': 'GBP',   // GBP uses GBP in pair names, not ZGBP
-      'CAD': 'CAD',   // CAD uses CAD in pair names, not ZCAD
-      'AUD': 'AUD',   // AUD uses AUD in pair names, not ZAUD
-      'JPY': 'JPY',   // JPY uses JPY in pair names, not ZJPY
-      'CHF': 'CHF',
-      'XRP': 'XRP',   // XRP uses XRP in pair names, not XXRP
-      'XLM': 'XLM',   // XLM uses XLM in pair names, not XXLM
-      'XMR': 'XMR',   // XMR uses XMR in pair names, not XXMR
-      'LTC': 'LTC',   // LTC uses LTC in pair names, not XLTC
-      'ETC': 'ETC',   // ETC uses ETC in pair names, not XETC
-      'REP': 'REP',   // REP uses REP in pair names, not XREP
-      'MLN': 'MLN',   // MLN uses MLN in pair names, not XMLN
-      'ZEC': 'ZEC'    // ZEC uses ZEC in pair names, not XZEC
-    };
-    return pairConversions[asset] || asset;
-  }
-
-  // Get standard asset name from Kraken asset name
-  getStandardAssetName(krakenAsset) {
-    const standardConversions = {
-      'XXDG': 'DOGE',
-      'XXBT': 'BTC',
-      'XETH': 'ETH',
-      'ZUSD': 'USD',
-      'ZEUR': 'EUR',
-      'ZGBP': 'GBP',
-      'ZCAD': 'CAD',
-      'ZAUD': 'AUD',
-      'ZJPY': 'JPY',
-      'XXRP': 'XRP',
-      'XXLM': 'XLM',
-      'XXMR': 'XMR',
-      'XLTC': 'LTC',
-      'XETC': 'ETC',
-      'XREP': 'REP',
-      'XMLN': 'MLN',
-      'XZEC': 'ZEC'
-    };
-    return standardConversions[krakenAsset] || krakenAsset;
+    return pair.key;
   }
 
   // Return all tradable pair names as an array
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const LOCK_RETRY_DELAY_MS = 2;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Issues strictly increasing nonces for private Kraken calls. Nonces are
+// microsecond timestamps (like the ones the kraken-api client generates),
+// bumped past the last nonce any process issued. That high-water mark is kept
+// in a file, so it survives restarts, and the file is only updated under a lock
+// file so several bot processes can share one API key. Calls within the process
+// are issued one after the other, so they can never get the same nonce, and
+// waiting for another process's lock does not block the event loop. Requests
+// sent through withNonce are also sent one after the other, so Kraken receives
+// them in nonce order; requests from other processes can still overtake them
+// (see the nonce window in the documentation).
+class NonceManager {
+  constructor() {
+    this.file = null;
+    this.lockFile = null;
+    this.pending = Promise.resolve(); // previous next() or withNonce() call in this process
+    this.last = 0;
+    this.issued = 0;
+    this.lockWaits = 0;
+    this.staleLocksRemoved = 0;
+  }
+
+  init(file = config.kraken.nonce.file) {
+    this.file = path.resolve(file);
+    this.lockFile = `${this.file}.lock`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.last = this.readHighWaterMark();
+    logger.info('Nonce manager ready', {
+      file: this.file,
+      highWaterMark: this.last
+    });
+  }
+
+  // Next nonce: above the current time, the shared high-water mark and
+  // anything issued before in this process
+  next() {
+    if (!this.file) {
+      this.init();
+    }
+
+    const nonce = this.pending.then(() => this.withLock(() => {
+      const issued = Math.max(Date.now() * 1000, this.readHighWaterMark() + 1, this.last + 1);
+      this.writeHighWaterMark(issued);
+      this.last = issued;
+      this.issued++;
+      return issued;
+    }));
+    this.pending = nonce.catch(() => {});
+    return nonce;
+  }
+
+  // Issue a nonce and send a request with it. The next nonce is only issued
+  // once the request has been answered (or failed), so a later nonce can never
+  // reach Kraken before an earlier one.
+  withNonce(send) {
+    const response = this.next().then(send);
+    this.pending = response.catch(() => {});
+    return response;
+  }
+
+  readHighWaterMark() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8').trim();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return 0;
+      }
+      throw err;
+    }
+
+    const highWaterMark = Number(content);
+    if (!Number.isSafeInteger(highWaterMark)) {
+      logger.warn('Ignoring unreadable nonce high-water mark', { file: this.file, content });
+      return 0;
+    }
+    return highWaterMark;
+  }
+
+  // Written to a temporary file and renamed, so readers never see a torn value
+  writeHighWaterMark(nonce) {
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, String(nonce));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  // Run fn while holding the lock file, waiting up to lockTimeout for another
+  // process to release it. The lock file holds "<pid>:<token>" of its owner.
+  async withLock(fn) {
+    const owner = `${process.pid}:${crypto.randomBytes(6).toString('hex')}`;
+    const deadline = Date.now() + config.kraken.nonce.lockTimeout;
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, owner, { flag: 'wx' });
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+        if (this.removeStaleLock()) {
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the nonce lock ${this.lockFile}`);
+        }
+        this.lockWaits++;
+        await sleep(LOCK_RETRY_DELAY_MS);
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  readLockOwner(file) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Whether the process that wrote a lock is still running. A lock with this
+  // process's pid was left by an earlier run that had the same pid (e.g. in a
+  // container), since calls within this process never wait for their own lock.
+  isOwnerAlive(owner) {
+    const pid = Number(owner.split(':')[0]);
+    if (!Number.isSafeInteger(pid) || pid <= 0 || pid === process.pid) {
+      return false;
+    }
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (err) {
+      return err.code === 'EPERM';
+    }
+  }
+
+  // A lock left behind by a crashed process is removed once it is older than
+  // staleLockAge and its owner is no longer running; returns whether the lock
+  // is gone. The lock is first renamed away, so a lock another process has just
+  // acquired is never deleted: if the renamed file is not the stale one it is
+  // linked back in place.
+  removeStaleLock() {
+    let stat;
+    try {
+      stat = fs.statSync(this.lockFile);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return true;
+      }
+      throw err;
+    }
+
+    const age = Date.now() - stat.mtimeMs;
+    if (age <= config.kraken.nonce.staleLockAge) {
+      return false;
+    }
+
+    const owner = this.readLockOwner(this.lockFile);
+    if (owner === null) {
+      return true;
+    }
+    if (this.isOwnerAlive(owner)) {
+      return false;
+    }
+
+    const staleFile = `${this.lockFile}.stale-${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      fs.renameSync(this.lockFile, staleFile);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return true;
+      }
+      throw err;
+    }
+
+    if (this.readLockOwner(staleFile) !== owner) {
+      // Another process took the lock between the check and the rename
+      try {
+        fs.linkSync(staleFile, this.lockFile);
+      } catch (err) {
+        logger.error('Could not restore a nonce lock removed by mistake', { lockFile: this.lockFile, error: err.message });
+      }
+      fs.rmSync(staleFile, { force: true });
+      return false;
+    }
+
+    fs.rmSync(staleFile, { force: true });
+    this.staleLocksRemoved++;
+    logger.warn('Removed stale nonce lock', { lockFile: this.lockFile, owner, age });
+    return true;
+  }
+
+  // State (for the debug API)
+  getStatus() {
+    return {
+      file: this.file,
+      lastNonce: this.last,
+      issued: this.issued,
+      lockWaits: this.lockWaits,
+      staleLocksRemoved: this.staleLocksRemoved
+    };
+  }
+}
+
+module.exports = new NonceManager();
@@ -0,0 +1,128 @@
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const pairIndex = require('./pairIndex');
+const { Decimal, toDecimal } = require('../utils/decimal');
+
+// Reasons an order cannot be placed
+const UnplaceableReasons = {
+  UNKNOWN_PAIR: 'unknown_pair',
+  PAIR_NOT_ONLINE: 'pair_not_online',
+  ZERO_AFTER_ROUNDING: 'zero_after_rounding',
+  BELOW_ORDERMIN: 'below_ordermin',
+  BELOW_COSTMIN: 'below_costmin',
+  NO_PRICE: 'no_price'
+};
+
+// Reasons that mean the amount is too small to sell on the pair (i.e. dust)
+const BELOW_MINIMUM_REASONS = [
+  UnplaceableReasons.ZERO_AFTER_ROUNDING,
+  UnplaceableReasons.BELOW_ORDERMIN,
+  UnplaceableReasons.BELOW_COSTMIN
+];
+
+// Sizes orders to what Kraken accepts for a pair: volume rounded down to
+// lot_decimals, price rounded down to tick_size (or pair_decimals), and checked
+// against ordermin and the costmin at the live (or limit) price
+class OrderSizingService {
+  // Round a volume down to the pair's lot precision
+  roundVolume(pair, volume) {
+    const lotDecimals = pair.lotDecimals ?? 8;
+    return toDecimal(volume).toDecimalPlaces(lotDecimals, Decimal.ROUND_DOWN);
+  }
+
+  // Round a price down to the pair's tick size, or to pair_decimals when no tick size is published
+  roundPrice(pair, price) {
+    const value = toDecimal(price);
+    const tickSize = pair.tickSize ? toDecimal(pair.tickSize) : null;
+    if (tickSize && tickSize.gt(0)) {
+      return value.div(tickSize).floor().mul(tickSize);
+    }
+    return value.toDecimalPlaces(pair.pairDecimals ?? 8, Decimal.ROUND_DOWN);
+  }
+
+  // Whether an unplaceable reason means the amount is dust on that pair
+  isBelowMinimum(reason) {
+    return BELOW_MINIMUM_REASONS.includes(reason);
+  }
+
+  // Limit price (a Decimal) for a pair name rounded to its tick size (unchanged for unknown pairs)
+  roundLimitPrice(pairName, price) {
+    const pair = pairIndex.getPairByName(pairName);
+    return pair ? this.roundPrice(pair, price) : toDecimal(price);
+  }
+
+  // Plain decimal strings (never exponent notation) at the pair's precision
+  formatVolume(pair, volume) {
+    return volume.toFixed(pair.lotDecimals ?? 8);
+  }
+
+  formatPrice(pair, price) {
+    return price.toFixed(pair.pairDecimals ?? Math.max(price.decimalPlaces(), 0));
+  }
+
+  unplaceable(pairName, reason, details = {}) {
+    logger.info(`Order on ${pairName} cannot be placed: ${reason}`, {
+      pair: pairName,
+      reason,
+      ...details
+    });
+    return { placeable: false, pair: pairName, reason, ...details };
+  }
+
+  // Size a sell order. With a limit price the cost minimum is checked at that
+  // price, otherwise at the live best bid. Returns the exact volume (and price)
+  // strings to send to Kraken, or placeable: false with a structured reason.
+  async sizeSellOrder(pairName, volume, limitPrice = null) {
+    const pair = pairIndex.getPairByName(pairName);
+    if (!pair) {
+      return this.unplaceable(pairName, UnplaceableReasons.UNKNOWN_PAIR, { requestedVolume: toDecimal(volume).toFixed() });
+    }
+    if (!pairIndex.isTradable(pair)) {
+      return this.unplaceable(pairName, UnplaceableReasons.PAIR_NOT_ONLINE, { status: pair.status });
+    }
+
+    const roundedVolume = this.roundVolume(pair, volume);
+    const details = {
+      requestedVolume: toDecimal(volume).toFixed(),
+      volume: this.formatVolume(pair, roundedVolume),
+      lotDecimals: pair.lotDecimals,
+      ordermin: String(pair.ordermin),
+      costmin: String(pair.costmin)
+    };
+
+    if (roundedVolume.lte(0)) {
+      return this.unplaceable(pairName, UnplaceableReasons.ZERO_AFTER_ROUNDING, details);
+    }
+    if (roundedVolume.lt(pair.ordermin)) {
+      return this.unplaceable(pairName, UnplaceableReasons.BELOW_ORDERMIN, details);
+    }
+
+    let price = null;
+    if (limitPrice !== null) {
+      price = this.roundPrice(pair, limitPrice);
+      details.price = this.formatPrice(pair, price);
+    } else {
+      try {
+        const ticker = await krakenService.getTicker(pair.key);
+        price = toDecimal(ticker.bid);
+      } catch (err) {
+        return this.unplaceable(pairName, UnplaceableReasons.NO_PRICE, { ...details, error: err.message });
+      }
+    }
+
+    if (price.lte(0)) {
+      return this.unplaceable(pairName, UnplaceableReasons.NO_PRICE, details);
+    }
+
+    const estimatedCost = roundedVolume.mul(price);
+    details.estimatedCost = estimatedCost.toString();
+    if (estimatedCost.lt(pair.costmin)) {
+      return this.unplaceable(pairName, UnplaceableReasons.BELOW_COSTMIN, details);
+    }
+
+    return { placeable: true, pair: pair.key, ...details };
+  }
+}
+
+module.exports = new OrderSizingService();
+module.exports.UnplaceableReasons = UnplaceableReasons;
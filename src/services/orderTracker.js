@@ -0,0 +1,218 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const executionService = require('./executionService');
+const stateStore = require('./stateStore');
+const { Decimal, toDecimal, toAmountNumber, sumAmounts } = require('../utils/decimal');
+
+// websocket v2 executions exec_type -> final order status (Kraken REST naming)
+const TERMINAL_EXEC_TYPES = {
+  filled: 'closed',
+  canceled: 'canceled',
+  expired: 'expired',
+  rejected: 'rejected'
+};
+
+// REST order statuses after which an order will not change any more
+const TERMINAL_REST_STATUSES = ['closed', 'canceled', 'expired'];
+
+// Follows bot-placed orders through their lifecycle. Fills, cancels and
+// expiries arrive through the websocket executions channel; orders without a
+// terminal execution are polled over REST as a fallback.
+class OrderTracker {
+  constructor() {
+    this.orders = new Map(); // txid -> sale record
+    this.unmatchedExecutions = new Map(); // txid -> executions received before the order was tracked
+    this.onOrderFinalized = null;
+  }
+
+  // Start tracking an order placed by the bot
+  track(txid, context, pollDelay = config.autoSell.orderTracking.pollDelay) {
+    const record = {
+      txid,
+      asset: context.asset,
+      pair: context.pair,
+      requestedVolume: toAmountNumber(context.requestedVolume),
+      recursionLevel: context.recursionLevel || 0,
+      status: 'open',
+      filledVolume: 0,
+      cost: 0,
+      fee: 0,
+      averagePrice: 0,
+      fills: [],
+      polls: 0,
+      createdAt: new Date().toISOString(),
+      finalizedAt: null
+    };
+    this.orders.set(txid, record);
+
+    // Executions can arrive before AddOrder has returned the txid
+    const earlyExecutions = this.unmatchedExecutions.get(txid) || [];
+    this.unmatchedExecutions.delete(txid);
+    for (const execution of earlyExecutions) {
+      this.applyExecution(record, execution);
+    }
+
+    if (record.status === 'open') {
+      this.schedulePoll(record, pollDelay);
+    }
+    return record;
+  }
+
+  // Handle a message from the websocket executions channel
+  handleExecution(execution) {
+    const txid = execution.order_id;
+    if (!txid) {
+      return;
+    }
+
+    const record = this.orders.get(txid);
+    if (!record) {
+      // Keep briefly in case the order is about to be tracked
+      if (!this.unmatchedExecutions.has(txid)) {
+        this.unmatchedExecutions.set(txid, []);
+        setTimeout(() => this.unmatchedExecutions.delete(txid), config.autoSell.orderTracking.unmatchedTtl);
+      }
+      this.unmatchedExecutions.get(txid).push(execution);
+      return;
+    }
+
+    this.applyExecution(record, execution);
+  }
+
+  // Apply an execution report to a sale record
+  applyExecution(record, execution) {
+    if (record.finalizedAt) {
+      return;
+    }
+
+    if (execution.exec_type === 'trade') {
+      const fee = sumAmounts((execution.fees || []).map(fee => fee.qty));
+      record.fills.push({
+        execId: execution.exec_id,
+        tradeId: execution.trade_id,
+        volume: toAmountNumber(execution.last_qty),
+        price: toAmountNumber(execution.last_price),
+        fee: fee.toNumber(),
+        timestamp: execution.timestamp
+      });
+      record.fee = toDecimal(record.fee).plus(fee).toNumber();
+      logger.info(`Order ${record.txid} fill: ${execution.last_qty} ${record.asset} @ ${execution.last_price}`, {
+        txid: record.txid,
+        asset: record.asset,
+        cumulativeVolume: execution.cum_qty,
+        orderStatus: execution.order_status
+      });
+    }
+
+    if (execution.cum_qty !== undefined) {
+      record.filledVolume = toAmountNumber(execution.cum_qty);
+    }
+    if (execution.cum_cost !== undefined) {
+      record.cost = toAmountNumber(execution.cum_cost);
+    }
+    if (execution.avg_price !== undefined) {
+      record.averagePrice = toAmountNumber(execution.avg_price);
+    }
+
+    const terminalStatus = TERMINAL_EXEC_TYPES[execution.exec_type] || TERMINAL_EXEC_TYPES[execution.order_status];
+    if (terminalStatus) {
+      record.reason = execution.reason || null;
+      this.finalize(record, terminalStatus, 'websocket');
+    }
+  }
+
+  // Poll the order over REST until it is finalized
+  schedulePoll(record, delay) {
+    setTimeout(async () => {
+      if (record.finalizedAt) {
+        return;
+      }
+
+      record.polls++;
+      try {
+        const orderStatus = await executionService.getOrderService().getOrderStatus(record.txid);
+        if (orderStatus && TERMINAL_REST_STATUSES.includes(orderStatus.status) && !record.finalizedAt) {
+          const filledVolume = toDecimal(orderStatus.exact?.volumeExecuted ?? orderStatus.volumeExecuted);
+          const cost = toDecimal(orderStatus.exact?.usdValue ?? orderStatus.usdValue);
+          record.filledVolume = filledVolume.toNumber();
+          record.cost = cost.toNumber();
+          record.fee = toAmountNumber(orderStatus.fee);
+          record.averagePrice = filledVolume.gt(0) ? cost.div(filledVolume).toNumber() : 0;
+          this.finalize(record, orderStatus.status, 'poll');
+          return;
+        }
+      } catch (err) {
+        logger.warn(`Could not get order status for ${record.txid}`, {
+          error: err.message,
+          txid: record.txid,
+          polls: record.polls
+        });
+      }
+
+      if (record.polls < config.autoSell.orderTracking.maxPolls) {
+        this.schedulePoll(record, config.autoSell.orderTracking.pollInterval);
+      } else {
+        // Close the journal entry; a late websocket execution can still finalize it
+        record.status = 'lost';
+        record.lostAt = new Date().toISOString();
+        stateStore.recordOrder(record.txid, { status: 'lost', polls: record.polls, lostAt: record.lostAt });
+        logger.warn(`Giving up on following order ${record.txid}, marked lost`, {
+          txid: record.txid,
+          asset: record.asset,
+          requestedVolume: record.requestedVolume,
+          filledVolume: record.filledVolume,
+          polls: record.polls
+        });
+      }
+    }, delay);
+  }
+
+  // Finalize a sale record with its actual fills, persist it and notify the listener
+  finalize(record, status, source) {
+    record.status = status;
+    record.finalizedAt = new Date().toISOString();
+    record.remainingVolume = Decimal.max(toDecimal(record.requestedVolume).minus(toDecimal(record.filledVolume)), 0).toNumber();
+
+    logger.info(`Order ${record.txid} ${status}`, {
+      txid: record.txid,
+      asset: record.asset,
+      requestedVolume: record.requestedVolume,
+      filledVolume: record.filledVolume,
+      remainingVolume: record.remainingVolume,
+      averagePrice: record.averagePrice,
+      cost: record.cost,
+      fee: record.fee,
+      source
+    });
+
+    stateStore.recordOrder(record.txid, {
+      status,
+      volumeExecuted: record.filledVolume,
+      averagePrice: record.averagePrice,
+      cost: record.cost,
+      fee: record.fee,
+      finalizedAt: record.finalizedAt
+    });
+
+    if (this.onOrderFinalized) {
+      Promise.resolve(this.onOrderFinalized(record)).catch(err => {
+        logger.error(`Error handling finalized order ${record.txid}`, {
+          error: err.message,
+          stack: err.stack
+        });
+      });
+    }
+  }
+
+  // Get a tracked order
+  getOrder(txid) {
+    return this.orders.get(txid) || null;
+  }
+
+  // List tracked orders, newest first
+  getOrders() {
+    return Array.from(this.orders.values()).reverse();
+  }
+}
+
+module.exports = new OrderTracker();
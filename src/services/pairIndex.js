@@ -0,0 +1,100 @@
+const logger = require('../utils/logger');
+const assetRegistry = require('./assetRegistry');
+
+// Pair statuses Kraken reports in AssetPairs; only 'online' pairs accept new sells
+const PairStatuses = {
+  ONLINE: 'online',
+  CANCEL_ONLY: 'cancel_only',
+  POST_ONLY: 'post_only',
+  LIMIT_ONLY: 'limit_only',
+  REDUCE_ONLY: 'reduce_only'
+};
+
+// Lookup of AssetPairs by (base, quote) asset code. Names are resolved through
+// the asset registry, so any spelling of either asset finds the same pair.
+class PairIndex {
+  constructor() {
+    this.byKey = new Map(); // pair key -> entry
+    this.byBaseQuote = new Map(); // 'baseCode/quoteCode' -> entry
+  }
+
+  // Rebuild the index from an AssetPairs result
+  load(pairs) {
+    const byKey = new Map();
+    const byBaseQuote = new Map();
+
+    for (const [key, info] of Object.entries(pairs)) {
+      const entry = {
+        key,
+        altname: info.altname,
+        wsname: info.wsname,
+        base: assetRegistry.getStandardName(info.base),
+        quote: assetRegistry.getStandardName(info.quote),
+        baseCode: info.base,
+        quoteCode: info.quote,
+        status: info.status || PairStatuses.ONLINE,
+        ordermin: parseFloat(info.ordermin) || 0,
+        costmin: parseFloat(info.costmin) || 0,
+        lotDecimals: info.lot_decimals,
+        pairDecimals: info.pair_decimals,
+        tickSize: info.tick_size,
+        takerFeePercent: info.fees && info.fees.length > 0 ? parseFloat(info.fees[0][1]) || 0 : 0
+      };
+      byKey.set(key, entry);
+
+      // Dark pool pairs (".d") share base and quote with the regular pair; the regular pair wins
+      const baseQuote = `${info.base}/${info.quote}`;
+      if (!key.endsWith('.d') || !byBaseQuote.has(baseQuote)) {
+        byBaseQuote.set(baseQuote, entry);
+      }
+    }
+
+    this.byKey = byKey;
+    this.byBaseQuote = byBaseQuote;
+
+    const notOnline = Array.from(byKey.values()).filter(entry => entry.status !== PairStatuses.ONLINE);
+    logger.info('Pair index loaded', {
+      pairs: byKey.size,
+      notOnline: notOnline.length
+    });
+  }
+
+  // Pair selling base for quote, whatever its status
+  getPair(base, quote) {
+    const baseCode = assetRegistry.getKrakenCode(base);
+    const quoteCode = assetRegistry.getKrakenCode(quote);
+    return this.byBaseQuote.get(`${baseCode}/${quoteCode}`) || null;
+  }
+
+  // Pair by key, altname or wsname
+  getPairByName(name) {
+    const key = assetRegistry.resolvePairKey(name) || name;
+    return this.byKey.get(key) || null;
+  }
+
+  isTradable(entry) {
+    return !!entry && entry.status === PairStatuses.ONLINE;
+  }
+
+  // Pair selling base for quote, only if it currently accepts orders
+  getTradablePair(base, quote) {
+    const entry = this.getPair(base, quote);
+    return this.isTradable(entry) ? entry : null;
+  }
+
+  // Pairs matching the given filters (any name of base/quote; status; tradable only)
+  findPairs({ base, quote, status, tradable } = {}) {
+    const baseCode = base ? assetRegistry.getKrakenCode(base) : null;
+    const quoteCode = quote ? assetRegistry.getKrakenCode(quote) : null;
+
+    return Array.from(this.byKey.values()).filter(entry =>
+      (!baseCode || entry.baseCode === baseCode) &&
+      (!quoteCode || entry.quoteCode === quoteCode) &&
+      (!status || entry.status === status) &&
+      (!tradable || this.isTradable(entry))
+    );
+  }
+}
+
+module.exports = new PairIndex();
+module.exports.PairStatuses = PairStatuses;
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const { Decimal, toDecimal, toAmountNumber, toAmountString } = require('../utils/decimal');
+
+// Characters used by Kraken-style identifiers
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Simulates order execution for dry-run mode. Orders are kept in memory in the
+// same shape Kraken's QueryOrders/QueryTrades return so they can be formatted
+// and queried like real ones.
+class PaperTradingService {
+  constructor() {
+    this.orders = new Map();
+    this.trades = new Map();
+  }
+
+  // Generate a fake Kraken-style id, e.g. DRY-O2PMS2-VM6HC-5MQQOH
+  generateId(prefix = 'DRY') {
+    const segment = length => Array.from(crypto.randomBytes(length), byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+    return `${prefix}-${segment(6)}-${segment(5)}-${segment(6)}`;
+  }
+
+  // Simulate a sell against the current order book (falls back to the ticker bid).
+  // With a limit price only bids at or above it are taken. Amounts are Decimals.
+  async simulateSellFill(pair, volume, limitPrice = null) {
+    let levels = [];
+    try {
+      const book = await krakenService.getOrderBook(pair);
+      levels = book.bids;
+    } catch (err) {
+      logger.warn(`Could not fetch order book for ${pair}, using ticker bid`, {
+        pair,
+        error: err.message
+      });
+    }
+
+    if (levels.length === 0) {
+      const ticker = await krakenService.getTicker(pair);
+      levels = [[toDecimal(ticker.bid), volume]];
+    }
+
+    let remaining = volume;
+    let filled = new Decimal(0);
+    let cost = new Decimal(0);
+    for (const [price, levelVolume] of levels) {
+      if (remaining.lte(0) || (limitPrice !== null && price.lt(limitPrice))) {
+        break;
+      }
+      const take = Decimal.min(remaining, levelVolume);
+      filled = filled.plus(take);
+      cost = cost.plus(take.times(price));
+      remaining = remaining.minus(take);
+    }
+
+    return {
+      filled,
+      cost,
+      averagePrice: filled.gt(0) ? cost.div(filled) : new Decimal(0)
+    };
+  }
+
+  // Taker fee percentage for a pair (first tier, a Decimal), 0 if unknown
+  getTakerFeePercent(pair) {
+    const fees = krakenService.pairs[pair]?.fees;
+    return toDecimal(fees && fees.length > 0 ? fees[0][1] : 0);
+  }
+
+  // Simulate a sell order and record it together with its trade. Volume and
+  // price arrive as the exact strings sent to Kraken.
+  async recordSellOrder(pair, orderVolume, ordertype, orderPrice = null) {
+    const volume = toDecimal(orderVolume);
+    const limitPrice = orderPrice !== null ? toDecimal(orderPrice) : null;
+    const fill = await this.simulateSellFill(pair, volume, limitPrice);
+    const fee = fill.cost.times(this.getTakerFeePercent(pair)).div(100);
+    const txid = this.generateId('DRY');
+    const tradeId = this.generateId('DRYT');
+    const now = Date.now() / 1000;
+    // Market orders never rest on the book; unfilled limit volume stays open
+    const isFullyFilled = ordertype === 'market' || fill.filled.gte(volume);
+
+    const order = {
+      status: isFullyFilled ? 'closed' : 'open',
+      opentm: now,
+      closetm: isFullyFilled ? now : null,
+      descr: {
+        pair,
+        type: 'sell',
+        ordertype,
+        price: limitPrice !== null ? limitPrice.toFixed() : '0',
+        order: `sell ${volume.toFixed()} ${pair} @ ${limitPrice !== null ? `limit ${limitPrice.toFixed()}` : 'market'}`
+      },
+      vol: volume.toFixed(),
+      vol_exec: fill.filled.toFixed(),
+      cost: fill.cost.toFixed(),
+      fee: fee.toFixed(),
+      price: fill.averagePrice.toFixed(),
+      misc: 'dry-run',
+      trades: fill.filled.gt(0) ? [tradeId] : []
+    };
+    this.orders.set(txid, order);
+
+    if (fill.filled.gt(0)) {
+      this.trades.set(tradeId, {
+        ordertxid: txid,
+        pair,
+        time: now,
+        type: 'sell',
+        ordertype,
+        price: order.price,
+        cost: order.cost,
+        fee: order.fee,
+        vol: order.vol_exec,
+        margin: '0.00000',
+        misc: 'dry-run'
+      });
+    }
+
+    logger.info(`[DRY RUN] Simulated ${ordertype} sell order`, {
+      pair,
+      volume: order.vol,
+      limitPrice: limitPrice !== null ? order.descr.price : null,
+      filled: order.vol_exec,
+      averagePrice: order.price,
+      cost: order.cost,
+      fee: order.fee,
+      status: order.status,
+      txid
+    });
+
+    return txid;
+  }
+
+  // Simulated counterpart of krakenService.placeMarketSellOrder
+  async placeMarketSellOrder(pair, volume) {
+    const txid = await this.recordSellOrder(pair, volume, 'market');
+    return {
+      txid,
+      status: 'pending',
+      pair,
+      volume,
+      type: 'market',
+      ordertype: 'sell',
+      simulated: true
+    };
+  }
+
+  // Simulated counterpart of krakenService.placeLimitSellOrder
+  async placeLimitSellOrder(pair, volume, price) {
+    const txid = await this.recordSellOrder(pair, volume, 'limit', price);
+    return {
+      txid,
+      status: 'pending',
+      pair,
+      volume,
+      price,
+      type: 'limit',
+      ordertype: 'sell',
+      simulated: true
+    };
+  }
+
+  // Simulated counterpart of krakenService.cancelOrder
+  async cancelOrder(txid) {
+    const order = this.orders.get(txid);
+    if (!order || order.status !== 'open') {
+      return { count: 0 };
+    }
+    order.status = 'canceled';
+    order.closetm = Date.now() / 1000;
+    logger.info(`[DRY RUN] Simulated order ${txid} canceled`, { txid });
+    return { count: 1 };
+  }
+
+  // Simulated counterpart of krakenService.getOrderStatus
+  async getOrderStatus(txid) {
+    const order = this.orders.get(txid);
+    if (!order) {
+      logger.warn(`Simulated order ${txid} not found`);
+      return null;
+    }
+
+    return {
+      status: order.status,
+      usdValue: toAmountNumber(order.cost),
+      volume: toAmountNumber(order.vol),
+      volumeExecuted: toAmountNumber(order.vol_exec),
+      price: toAmountNumber(order.price),
+      fee: order.fee,
+      trades: order.trades,
+      exact: {
+        usdValue: toAmountString(order.cost),
+        volume: toAmountString(order.vol),
+        volumeExecuted: toAmountString(order.vol_exec),
+        price: toAmountString(order.price),
+        fee: toAmountString(order.fee)
+      }
+    };
+  }
+
+  // Check whether a txid belongs to a simulated order
+  hasOrder(txid) {
+    return this.orders.has(txid);
+  }
+
+  // Get a simulated order and its trades in raw Kraken format
+  getOrder(txid) {
+    const order = this.orders.get(txid);
+    if (!order) {
+      return null;
+    }
+
+    const trades = {};
+    for (const tradeId of order.trades) {
+      trades[tradeId] = this.trades.get(tradeId);
+    }
+
+    return {
+      order,
+      trades: order.trades.length > 0 ? trades : null
+    };
+  }
+}
+
+module.exports = new PaperTradingService();
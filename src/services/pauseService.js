@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+const stateStore = require('./stateStore');
+const assetRegistry = require('./assetRegistry');
+
+// Scope key of a pause covering every asset
+const ALL_ASSETS = '*';
+
+// Operator pauses of auto-selling, for all assets or a single one. Pauses are
+// kept in the state journal so they survive a restart.
+class PauseService {
+  scopeOf(asset) {
+    return asset ? assetRegistry.getStandardName(asset) : ALL_ASSETS;
+  }
+
+  // Pause all assets (asset = null) or one asset
+  pause(asset = null, { reason = null, pausedBy = 'operator' } = {}) {
+    const scope = this.scopeOf(asset);
+    const pause = {
+      reason,
+      pausedBy,
+      pausedAt: new Date().toISOString()
+    };
+    stateStore.setPause(scope, pause);
+    logger.warn(`Auto-sell paused for ${scope === ALL_ASSETS ? 'all assets' : scope}`, { scope, ...pause });
+    return { scope, ...pause };
+  }
+
+  // Resume one asset, or everything (including asset pauses) when no asset is given.
+  // Returns the scopes that were paused.
+  resume(asset = null, resumedBy = 'operator') {
+    const pauses = stateStore.getPauses();
+    const scopes = asset ? [this.scopeOf(asset)].filter(scope => pauses[scope]) : Object.keys(pauses);
+    for (const scope of scopes) {
+      stateStore.setPause(scope, null);
+    }
+    if (scopes.length > 0) {
+      logger.warn(`Auto-sell resumed for ${asset ? scopes[0] : 'all assets'}`, { scopes, resumedBy });
+    }
+    return scopes;
+  }
+
+  // Pause in effect for an asset (the global pause first), or null
+  getPause(asset) {
+    const pauses = stateStore.getPauses();
+    return pauses[ALL_ASSETS] || pauses[this.scopeOf(asset)] || null;
+  }
+
+  isPaused(asset) {
+    return this.getPause(asset) !== null;
+  }
+
+  isPausedGlobally() {
+    return !!stateStore.getPauses()[ALL_ASSETS];
+  }
+
+  // Global and per-asset pauses (for the status API)
+  getStatus() {
+    const { [ALL_ASSETS]: all = null, ...assets } = stateStore.getPauses();
+    return { all, assets };
+  }
+}
+
+module.exports = new PauseService();
+module.exports.ALL_ASSETS = ALL_ASSETS;
@@ -0,0 +1,191 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const stateStore = require('./stateStore');
+const pairIndex = require('./pairIndex');
+const { sendLogToApi } = require('../utils/helpers');
+const { Decimal, toDecimal, sumAmounts } = require('../utils/decimal');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Circuit breaker in front of every order. Each order is valued in the target
+// fiat and checked against a maximum order notional, per-asset and global caps
+// over the last 24 hours, a maximum number of orders per hour and the deviation
+// of the current bid from the 24h volume-weighted average price. Any violation
+// trips the guard, which blocks all further orders until it is reset. Trips
+// are kept in the state journal so a restart does not resume selling.
+class RiskGuard {
+  get trip() {
+    return stateStore.getRiskTrip();
+  }
+
+  isTripped() {
+    return this.trip !== null;
+  }
+
+  // Whether any limit is configured (orders are only valued if so)
+  isEnabled() {
+    const { maxOrderNotional, dailyNotionalCap, assetDailyNotionalCaps, maxOrdersPerHour, maxPriceDeviationPercent } = config.autoSell.risk;
+    return maxOrderNotional > 0 || dailyNotionalCap > 0 || maxOrdersPerHour > 0 || maxPriceDeviationPercent > 0 ||
+      Object.keys(assetDailyNotionalCaps).length > 0;
+  }
+
+  // Value of a volume on a pair in the target fiat (a Decimal), with the bid and reference price used
+  async valueOrder(pair, volume) {
+    const entry = pairIndex.getPairByName(pair);
+    const ticker = await krakenService.getTicker(entry ? entry.key : pair);
+    let fiatPerQuote = new Decimal(1);
+
+    // Legs quoted in an intermediate asset (e.g. FOO/XBT) are valued through the quote's fiat pair
+    if (entry && entry.quote !== config.kraken.targetFiat) {
+      const quotePair = krakenService.resolveMarketPair(entry.quote);
+      if (!quotePair) {
+        throw new Error(`Cannot value ${pair} orders in ${config.kraken.targetFiat}`);
+      }
+      fiatPerQuote = toDecimal((await krakenService.getTicker(quotePair.key)).bid);
+    }
+
+    return {
+      notional: toDecimal(volume).times(toDecimal(ticker.bid)).times(fiatPerQuote),
+      bid: ticker.bid,
+      referencePrice: ticker.vwap24h
+    };
+  }
+
+  // Sum of order notionals (a Decimal) since a point in time, optionally for one asset
+  getNotionalSince(since, asset = null) {
+    return sumAmounts(stateStore.getRiskOrders(since)
+      .filter(order => !asset || order.asset === asset)
+      .map(order => order.notional));
+  }
+
+  // First limit an order would break, or null
+  findViolation(asset, valuation) {
+    const { maxOrderNotional, dailyNotionalCap, assetDailyNotionalCaps, maxOrdersPerHour, maxPriceDeviationPercent } = config.autoSell.risk;
+    const now = Date.now();
+
+    if (maxOrderNotional > 0 && valuation.notional.gt(maxOrderNotional)) {
+      return { reason: 'max_order_notional', limit: maxOrderNotional, value: valuation.notional.toNumber() };
+    }
+
+    const assetCap = toDecimal(assetDailyNotionalCaps[asset]);
+    if (assetCap.gt(0)) {
+      const total = this.getNotionalSince(now - DAY_MS, asset).plus(valuation.notional);
+      if (total.gt(assetCap)) {
+        return { reason: 'asset_daily_notional_cap', limit: assetCap.toNumber(), value: total.toNumber() };
+      }
+    }
+
+    if (dailyNotionalCap > 0) {
+      const total = this.getNotionalSince(now - DAY_MS).plus(valuation.notional);
+      if (total.gt(dailyNotionalCap)) {
+        return { reason: 'daily_notional_cap', limit: dailyNotionalCap, value: total.toNumber() };
+      }
+    }
+
+    if (maxOrdersPerHour > 0) {
+      const ordersLastHour = stateStore.getRiskOrders(now - HOUR_MS).length;
+      if (ordersLastHour + 1 > maxOrdersPerHour) {
+        return { reason: 'max_orders_per_hour', limit: maxOrdersPerHour, value: ordersLastHour + 1 };
+      }
+    }
+
+    const referencePrice = toDecimal(valuation.referencePrice);
+    if (maxPriceDeviationPercent > 0 && referencePrice.gt(0)) {
+      const deviation = toDecimal(valuation.bid).minus(referencePrice).abs().div(referencePrice).times(100);
+      if (deviation.gt(maxPriceDeviationPercent)) {
+        return { reason: 'price_deviation', limit: maxPriceDeviationPercent, value: deviation.toNumber() };
+      }
+    }
+
+    return null;
+  }
+
+  // Check an order before it is placed. Returns { allowed: true, notional } or
+  // { allowed: false, reason } (tripping the guard on a new violation).
+  async check(asset, pair, volume) {
+    if (this.trip) {
+      return { allowed: false, reason: 'risk_guard_tripped', trip: this.trip };
+    }
+    if (!this.isEnabled()) {
+      return { allowed: true, notional: null };
+    }
+
+    const valuation = await this.valueOrder(pair, volume);
+    const violation = this.findViolation(asset, valuation);
+    if (violation) {
+      await this.tripGuard(violation.reason, {
+        asset,
+        pair,
+        volume: toDecimal(volume).toNumber(),
+        ...valuation,
+        notional: valuation.notional.toNumber(),
+        limit: violation.limit,
+        value: violation.value
+      });
+      return { allowed: false, reason: violation.reason, trip: this.trip };
+    }
+
+    return { allowed: true, notional: valuation.notional.toNumber() };
+  }
+
+  // Count a placed order towards the caps
+  recordOrder(asset, pair, notional) {
+    if (notional !== null) {
+      stateStore.recordRiskOrder(asset, pair, notional);
+    }
+  }
+
+  // Pause all selling and alert the operator
+  async tripGuard(reason, details) {
+    stateStore.setRiskTrip({
+      reason,
+      ...details,
+      trippedAt: new Date().toISOString()
+    });
+    logger.error(`🚨 ALERT: risk guard tripped (${reason}), auto-sell paused`, this.trip);
+
+    if (config.logging.api.enabled) {
+      try {
+        await sendLogToApi({
+          eventType: 'alert',
+          alertType: 'risk_guard_tripped',
+          timestamp: this.trip.trippedAt,
+          ...this.trip
+        });
+      } catch (err) {
+        logger.error('Failed to send alert to API', { error: err.message });
+      }
+    }
+  }
+
+  // Clear a trip so orders can be placed again
+  reset(resetBy = 'operator') {
+    if (!this.trip) {
+      return false;
+    }
+    logger.warn('Risk guard reset, auto-sell resumed', {
+      previousTrip: this.trip,
+      resetBy
+    });
+    stateStore.setRiskTrip(null);
+    return true;
+  }
+
+  // Limits, usage and trip state (for the status API)
+  getStatus() {
+    const now = Date.now();
+    return {
+      tripped: this.isTripped(),
+      trip: this.trip,
+      limits: config.autoSell.risk,
+      usage: {
+        notionalLastDay: this.getNotionalSince(now - DAY_MS).toNumber(),
+        ordersLastHour: stateStore.getRiskOrders(now - HOUR_MS).length
+      }
+    };
+  }
+}
+
+module.exports = new RiskGuard();
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const executionService = require('./executionService');
+const stateStore = require('./stateStore');
+const pairIndex = require('./pairIndex');
+const { Decimal, toDecimal } = require('../utils/decimal');
+
+// Finds and executes multi-hop sales (asset -> intermediate -> target fiat)
+// for assets that have no direct market to the target fiat
+class RouteService {
+  // Candidate two-hop routes from an asset to the target fiat over pairs that accept orders
+  getCandidateRoutes(asset) {
+    const fiat = config.kraken.targetFiat;
+    const candidates = [];
+
+    for (const intermediate of config.autoSell.routing.intermediates) {
+      if (intermediate === asset || intermediate === fiat) {
+        continue;
+      }
+
+      const firstLeg = pairIndex.getTradablePair(asset, intermediate);
+      const secondLeg = pairIndex.getTradablePair(intermediate, fiat);
+      if (firstLeg && secondLeg) {
+        candidates.push({ intermediate, legs: [firstLeg, secondLeg] });
+      }
+    }
+
+    return candidates;
+  }
+
+  // Estimate a route's proceeds (after spread and fees) and its liquidity (24h
+  // traded value in the target fiat of its thinnest leg), or the reason the
+  // route cannot take the amount
+  async evaluateRoute(candidate, amount) {
+    let volume = toDecimal(amount);
+    const legs = [];
+
+    for (const pairEntry of candidate.legs) {
+      const pair = pairEntry.key;
+      const ordermin = pairEntry.ordermin;
+      if (volume.lt(toDecimal(ordermin))) {
+        return { rejected: 'below_leg_minimum', pair, volume: volume.toNumber(), ordermin };
+      }
+
+      const ticker = await krakenService.getTicker(pair);
+      const feePercent = pairEntry.takerFeePercent;
+      const cost = volume.times(toDecimal(ticker.bid));
+      if (cost.lt(toDecimal(pairEntry.costmin))) {
+        return { rejected: 'below_leg_cost_minimum', pair, cost: cost.toNumber(), costmin: pairEntry.costmin };
+      }
+
+      legs.push({
+        pair,
+        base: pairEntry.base,
+        quote: pairEntry.quote,
+        volume: volume.toNumber(),
+        bid: ticker.bid,
+        feePercent,
+        ordermin,
+        volume24h: ticker.volume24h
+      });
+      volume = cost.times(new Decimal(100).minus(toDecimal(feePercent))).div(100);
+    }
+
+    // Leg volumes are in their base asset; value them in fiat through the rest of the route
+    let fiatPerUnit = new Decimal(1);
+    for (let i = legs.length - 1; i >= 0; i--) {
+      fiatPerUnit = fiatPerUnit.times(toDecimal(legs[i].bid));
+      legs[i].liquidity = toDecimal(legs[i].volume24h).times(fiatPerUnit).toNumber();
+    }
+
+    return {
+      intermediate: candidate.intermediate,
+      legs,
+      estimatedProceeds: volume.toNumber(),
+      liquidity: Math.min(...legs.map(leg => leg.liquidity))
+    };
+  }
+
+  // Best route by estimated proceeds among routes liquid enough to trust
+  async findRoute(asset, amount) {
+    const candidates = this.getCandidateRoutes(asset);
+    const rejected = [];
+    let best = null;
+
+    for (const candidate of candidates) {
+      try {
+        const route = await this.evaluateRoute(candidate, amount);
+        if (route.rejected) {
+          rejected.push({ intermediate: candidate.intermediate, ...route });
+          continue;
+        }
+        if (route.liquidity < config.autoSell.routing.minLegLiquidity) {
+          rejected.push({ intermediate: candidate.intermediate, rejected: 'insufficient_liquidity', liquidity: route.liquidity });
+          continue;
+        }
+        if (!best || route.estimatedProceeds > best.estimatedProceeds) {
+          best = route;
+        }
+      } catch (err) {
+        rejected.push({ intermediate: candidate.intermediate, rejected: 'evaluation_failed', error: err.message });
+      }
+    }
+
+    logger.info(`Route search for ${toDecimal(amount).toFixed()} ${asset}: ${best ? `via ${best.intermediate}` : 'no route'}`, {
+      asset,
+      amount: toDecimal(amount).toFixed(),
+      candidates: candidates.length,
+      selected: best && best.legs.map(leg => leg.pair),
+      estimatedProceeds: best?.estimatedProceeds,
+      rejected
+    });
+
+    return { route: best, candidates: candidates.length, rejected };
+  }
+
+  // Sell through each leg in turn, feeding the proceeds of one leg into the next,
+  // and keep the result as one logical sale
+  async execute(asset, amount, route) {
+    const sale = {
+      id: `ROUTE-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      asset,
+      amount: toDecimal(amount).toNumber(),
+      targetFiat: config.kraken.targetFiat,
+      intermediate: route.intermediate,
+      path: route.legs.map(leg => leg.pair),
+      estimatedProceeds: route.estimatedProceeds,
+      status: 'running',
+      legs: [],
+      proceeds: 0,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    stateStore.recordRoute(sale.id, sale);
+
+    let volume = toDecimal(amount);
+    for (const [index, plannedLeg] of route.legs.entries()) {
+      if (volume.lt(toDecimal(plannedLeg.ordermin))) {
+        sale.status = index === 0 ? 'failed' : 'partial';
+        sale.error = `${volume.toFixed()} is below the ${plannedLeg.pair} minimum of ${plannedLeg.ordermin}`;
+        break;
+      }
+
+      const leg = { pair: plannedLeg.pair, volume: volume.toNumber(), txid: null, filledVolume: 0, cost: 0, fee: 0, status: 'placed' };
+      sale.legs.push(leg);
+      stateStore.recordRoute(sale.id, sale);
+
+      try {
+        const order = await executionService.placeMarketSell(plannedLeg.pair, volume, plannedLeg.base, {
+          strategy: 'route',
+          routeId: sale.id,
+          leg: index
+        });
+        if (order.status === 'unplaceable' || order.status === 'blocked') {
+          leg.status = order.status;
+          leg.error = order.reason;
+          sale.status = index === 0 ? 'failed' : 'partial';
+          sale.error = `Leg on ${plannedLeg.pair} ${order.status}: ${order.reason}`;
+          break;
+        }
+        leg.txid = order.txid;
+        const fills = await executionService.summarizeFills([order.txid]);
+        leg.filledVolume = fills.volumeExecuted;
+        leg.cost = fills.cost;
+        leg.fee = fills.fee;
+        leg.status = toDecimal(fills.volumeExecuted).gte(toDecimal(order.volume)) ? 'filled' : 'partial';
+
+        stateStore.recordOrder(order.txid, {
+          asset,
+          pair: plannedLeg.pair,
+          volume: leg.volume,
+          strategy: 'route',
+          routeId: sale.id,
+          leg: index,
+          dryRun: config.autoSell.dryRun,
+          status: 'closed',
+          volumeExecuted: fills.volumeExecuted,
+          cost: fills.cost,
+          fee: fills.fee,
+          placedAt: new Date().toISOString()
+        });
+      } catch (err) {
+        leg.status = 'failed';
+        leg.error = err.message;
+        sale.status = index === 0 ? 'failed' : 'partial';
+        sale.error = err.message;
+        break;
+      }
+
+      logger.info(`Route ${sale.id} leg ${index + 1}/${route.legs.length} ${leg.status}`, {
+        id: sale.id,
+        asset,
+        ...leg
+      });
+
+      volume = toDecimal(leg.cost).minus(toDecimal(leg.fee));
+    }
+
+    if (sale.status === 'running') {
+      sale.status = sale.legs.every(leg => leg.status === 'filled') ? 'completed' : 'partial';
+      sale.proceeds = volume.toNumber();
+    }
+    sale.completedAt = new Date().toISOString();
+    stateStore.recordRoute(sale.id, sale);
+
+    logger.info(`Route sale ${sale.id} of ${sale.amount} ${asset} ${sale.status}`, {
+      id: sale.id,
+      asset,
+      amount: sale.amount,
+      path: sale.path,
+      proceeds: sale.proceeds,
+      estimatedProceeds: sale.estimatedProceeds,
+      error: sale.error
+    });
+
+    return sale;
+  }
+
+  // Route sales still running when the bot stopped cannot be picked up again:
+  // their leg orders are followed up like any open order, and whatever reached
+  // the intermediate asset is left for the operator
+  restore() {
+    const interrupted = stateStore.getRoutes().filter(sale => sale.status === 'running');
+    for (const sale of interrupted) {
+      const { updatedAt, ...route } = sale;
+      stateStore.recordRoute(sale.id, {
+        ...route,
+        status: 'interrupted',
+        error: 'Interrupted by a restart',
+        completedAt: new Date().toISOString()
+      });
+      logger.warn(`Route sale ${sale.id} of ${sale.amount} ${sale.asset} was interrupted by a restart`, {
+        id: sale.id,
+        asset: sale.asset,
+        intermediate: sale.intermediate,
+        legs: sale.legs
+      });
+    }
+    return interrupted.length;
+  }
+
+  // Get a route sale
+  getSale(id) {
+    return stateStore.getRoute(id);
+  }
+
+  // List route sales, newest first
+  getSales() {
+    return stateStore.getRoutes().reverse();
+  }
+}
+
+module.exports = new RouteService();
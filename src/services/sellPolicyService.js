@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Decimal, toDecimal } = require('../utils/decimal');
+
+// Supported policy actions
+const PolicyActions = {
+  SELL: 'sell',
+  HOLD: 'hold',
+  SELL_ABOVE_THRESHOLD: 'sell-above-threshold',
+  KEEP: 'keep-units',
+  SELL_PERCENTAGE: 'sell-percentage'
+};
+
+// Used when no policy file is configured: sell everything (legacy behaviour)
+const DEFAULT_RULE = { action: PolicyActions.SELL };
+
+class SellPolicyService {
+  constructor() {
+    this.policy = { default: DEFAULT_RULE, assets: {} };
+    this.source = null;
+  }
+
+  // Load and validate the policy file configured via SELL_POLICY_FILE
+  load(policyFile = config.autoSell.policyFile) {
+    if (!policyFile) {
+      logger.info('No sell policy file configured, selling all assets by default');
+      return this.policy;
+    }
+
+    const resolvedPath = path.resolve(policyFile);
+    const raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+    const policy = {
+      default: this.validateRule(raw.default || DEFAULT_RULE, 'default'),
+      assets: {}
+    };
+
+    for (const [asset, rule] of Object.entries(raw.assets || {})) {
+      policy.assets[asset.toUpperCase()] = this.validateRule(rule, `assets.${asset}`);
+    }
+
+    this.policy = policy;
+    this.source = resolvedPath;
+
+    logger.info('Sell policy loaded', {
+      file: resolvedPath,
+      default: policy.default,
+      assets: policy.assets
+    });
+
+    return this.policy;
+  }
+
+  // Validate a single rule, throwing on anything we would not know how to apply
+  validateRule(rule, ruleName) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid sell policy rule ${ruleName}: must be an object`);
+    }
+
+    switch (rule.action) {
+      case PolicyActions.SELL:
+      case PolicyActions.HOLD:
+        return { action: rule.action };
+      case PolicyActions.SELL_ABOVE_THRESHOLD:
+        return { action: rule.action, threshold: this.requirePositiveNumber(rule.threshold, `${ruleName}.threshold`) };
+      case PolicyActions.KEEP:
+        return { action: rule.action, units: this.requirePositiveNumber(rule.units, `${ruleName}.units`) };
+      case PolicyActions.SELL_PERCENTAGE: {
+        const percentage = this.requirePositiveNumber(rule.percentage, `${ruleName}.percentage`);
+        if (percentage > 100) {
+          throw new Error(`Invalid sell policy rule ${ruleName}.percentage: must be between 0 and 100`);
+        }
+        return { action: rule.action, percentage };
+      }
+      default:
+        throw new Error(`Invalid sell policy rule ${ruleName}: unknown action "${rule.action}"`);
+    }
+  }
+
+  requirePositiveNumber(value, fieldName) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`Invalid sell policy rule ${fieldName}: must be a positive number`);
+    }
+    return number;
+  }
+
+  // Find the rule for an asset, trying every name it might be known by
+  getRule(...assetNames) {
+    for (const name of assetNames) {
+      if (name && this.policy.assets[name.toUpperCase()]) {
+        return { rule: this.policy.assets[name.toUpperCase()], ruleName: `assets.${name.toUpperCase()}` };
+      }
+    }
+    return { rule: this.policy.default, ruleName: 'default' };
+  }
+
+  // Decide how much of a balance may be sold (sellAmount is a Decimal)
+  evaluate(asset, balance, aliases = []) {
+    const { rule, ruleName } = this.getRule(asset, ...aliases);
+    const amount = toDecimal(balance);
+    const decision = {
+      asset,
+      balance: amount,
+      action: rule.action,
+      rule: ruleName,
+      sellAmount: new Decimal(0),
+      reason: null
+    };
+
+    switch (rule.action) {
+      case PolicyActions.SELL:
+        decision.sellAmount = amount;
+        decision.reason = 'sell_all';
+        break;
+      case PolicyActions.HOLD:
+        decision.reason = 'hold';
+        break;
+      case PolicyActions.SELL_ABOVE_THRESHOLD:
+        if (amount.gt(toDecimal(rule.threshold))) {
+          decision.sellAmount = amount;
+          decision.reason = 'above_threshold';
+        } else {
+          decision.reason = 'below_threshold';
+        }
+        decision.threshold = rule.threshold;
+        break;
+      case PolicyActions.KEEP:
+        decision.sellAmount = Decimal.max(amount.minus(toDecimal(rule.units)), 0);
+        decision.reason = decision.sellAmount.gt(0) ? 'sell_excess' : 'within_reserve';
+        decision.units = rule.units;
+        break;
+      case PolicyActions.SELL_PERCENTAGE:
+        decision.sellAmount = amount.times(toDecimal(rule.percentage)).div(100);
+        decision.reason = 'sell_percentage';
+        decision.percentage = rule.percentage;
+        break;
+    }
+
+    return decision;
+  }
+
+  // Get the active policy (for status reporting)
+  getPolicy() {
+    return {
+      source: this.source,
+      ...this.policy
+    };
+  }
+}
+
+module.exports = new SellPolicyService();
+module.exports.PolicyActions = PolicyActions;
@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Order statuses after which nothing more will happen to an order
+const TERMINAL_ORDER_STATUSES = ['closed', 'canceled', 'expired', 'filled', 'partial', 'refused', 'rejected', 'lost'];
+
+// How long placed order notionals are kept through compaction
+const RISK_ORDER_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Append-only JSON journal. Every change is written as one JSON line and the
+// current state is rebuilt by replaying the journal on boot. The journal is
+// compacted into a snapshot of the current state once it grows too large.
+class StateStore {
+  constructor() {
+    this.file = null;
+    this.lineCount = 0;
+    this.compactedSize = 0;
+    this.loaded = false;
+    this.state = this.emptyState();
+  }
+
+  emptyState() {
+    return {
+      balances: {},
+      recursionCounts: {},
+      ledgers: new Set(),
+      orders: {},
+      retries: {},
+      dust: {},
+      routes: {},
+      twaps: {},
+      withdrawals: {},
+      riskOrders: [],
+      pauses: {},
+      riskTrip: null,
+      approvals: {}
+    };
+  }
+
+  // Load and replay the journal
+  load(file = config.persistence.file) {
+    this.file = path.resolve(file);
+    this.state = this.emptyState();
+    this.lineCount = 0;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    if (fs.existsSync(this.file)) {
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim());
+      for (const [index, line] of lines.entries()) {
+        try {
+          this.apply(JSON.parse(line));
+          this.lineCount++;
+        } catch (err) {
+          // A torn final write after a crash is expected; anything else is worth a warning
+          logger.warn(`Skipping unreadable state journal entry at line ${index + 1}`, {
+            file: this.file,
+            error: err.message
+          });
+        }
+      }
+    }
+
+    this.loaded = true;
+    logger.info('State journal loaded', {
+      file: this.file,
+      entries: this.lineCount,
+      ...this.getSummary()
+    });
+
+    this.compactIfNeeded();
+    return this.state;
+  }
+
+  // Apply a single journal entry to the in-memory state
+  apply(entry) {
+    switch (entry.type) {
+      case 'balances':
+        this.state.balances = entry.balances;
+        break;
+      case 'recursion':
+        this.state.recursionCounts[entry.asset] = entry.count;
+        break;
+      case 'ledger':
+        this.state.ledgers.add(entry.id);
+        break;
+      case 'order':
+        this.state.orders[entry.txid] = {
+          ...this.state.orders[entry.txid],
+          ...entry.fields,
+          txid: entry.txid,
+          updatedAt: entry.ts
+        };
+        break;
+      case 'retry':
+        this.state.retries[entry.retry.id] = entry.retry;
+        break;
+      case 'retry_done':
+        delete this.state.retries[entry.id];
+        break;
+      case 'route':
+        this.state.routes[entry.id] = { ...entry.route, updatedAt: entry.ts };
+        break;
+      case 'twap':
+        this.state.twaps[entry.id] = { ...entry.execution, updatedAt: entry.ts };
+        break;
+      case 'withdrawal':
+        this.state.withdrawals[entry.refid] = {
+          ...this.state.withdrawals[entry.refid],
+          ...entry.fields,
+          refid: entry.refid,
+          updatedAt: entry.ts
+        };
+        break;
+      case 'withdrawal_removed':
+        delete this.state.withdrawals[entry.refid];
+        break;
+      case 'approval':
+        this.state.approvals[entry.id] = {
+          ...this.state.approvals[entry.id],
+          ...entry.fields,
+          id: entry.id,
+          updatedAt: entry.ts
+        };
+        break;
+      case 'risk_order':
+        this.state.riskOrders.push({ asset: entry.asset, pair: entry.pair, notional: entry.notional, placedAt: entry.ts });
+        break;
+      case 'pause':
+        if (entry.pause) {
+          this.state.pauses[entry.scope] = entry.pause;
+        } else {
+          delete this.state.pauses[entry.scope];
+        }
+        break;
+      case 'risk_trip':
+        this.state.riskTrip = entry.trip;
+        break;
+      case 'dust':
+        if (entry.amount > 0) {
+          this.state.dust[entry.asset] = { asset: entry.asset, amount: entry.amount, source: entry.source, updatedAt: entry.ts };
+        } else {
+          delete this.state.dust[entry.asset];
+        }
+        break;
+      default:
+        logger.warn(`Unknown state journal entry type: ${entry.type}`);
+    }
+  }
+
+  // Apply an entry and append it to the journal
+  append(entry) {
+    const stamped = { ...entry, ts: new Date().toISOString() };
+    this.apply(stamped);
+
+    if (!this.loaded) {
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(stamped) + '\n');
+      this.lineCount++;
+      this.compactIfNeeded();
+    } catch (err) {
+      logger.error('Failed to write state journal entry', {
+        file: this.file,
+        type: entry.type,
+        error: err.message
+      });
+    }
+  }
+
+  // Rewrite the journal as a snapshot of the current state
+  compactIfNeeded() {
+    // Also wait for the journal to double since the last snapshot so a large state does not compact on every write
+    if (this.lineCount < Math.max(config.persistence.compactThreshold, this.compactedSize * 2)) {
+      return;
+    }
+
+    // Only the last day of order notionals matters to the risk guard
+    this.state.riskOrders = this.getRiskOrders(Date.now() - RISK_ORDER_RETENTION_MS);
+
+    const ts = new Date().toISOString();
+    const entries = [
+      { type: 'balances', balances: this.state.balances, ts },
+      ...Object.entries(this.state.recursionCounts).map(([asset, count]) => ({ type: 'recursion', asset, count, ts })),
+      ...Array.from(this.state.ledgers).map(id => ({ type: 'ledger', id, ts })),
+      ...Object.values(this.state.orders).map(({ txid, updatedAt, ...fields }) => ({ type: 'order', txid, fields, ts: updatedAt })),
+      ...Object.values(this.state.retries).map(retry => ({ type: 'retry', retry, ts })),
+      ...Object.values(this.state.routes).map(({ updatedAt, ...route }) => ({ type: 'route', id: route.id, route, ts: updatedAt })),
+      ...Object.values(this.state.twaps).map(({ updatedAt, ...execution }) => ({ type: 'twap', id: execution.id, execution, ts: updatedAt })),
+      ...Object.values(this.state.withdrawals).map(({ refid, updatedAt, ...fields }) => ({ type: 'withdrawal', refid, fields, ts: updatedAt })),
+      ...Object.values(this.state.approvals).map(({ id, updatedAt, ...fields }) => ({ type: 'approval', id, fields, ts: updatedAt })),
+      ...this.state.riskOrders.map(order => ({ type: 'risk_order', asset: order.asset, pair: order.pair, notional: order.notional, ts: order.placedAt })),
+      ...Object.entries(this.state.pauses).map(([scope, pause]) => ({ type: 'pause', scope, pause, ts })),
+      ...(this.state.riskTrip ? [{ type: 'risk_trip', trip: this.state.riskTrip, ts }] : []),
+      ...Object.values(this.state.dust).map(dust => ({ type: 'dust', asset: dust.asset, amount: dust.amount, source: dust.source, ts: dust.updatedAt }))
+    ];
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    fs.renameSync(tmpFile, this.file);
+
+    logger.info('State journal compacted', {
+      file: this.file,
+      previousEntries: this.lineCount,
+      entries: entries.length
+    });
+    this.lineCount = entries.length;
+    this.compactedSize = entries.length;
+  }
+
+  // Balances
+  setBalances(balances) {
+    this.append({ type: 'balances', balances });
+  }
+
+  getBalances() {
+    return { ...this.state.balances };
+  }
+
+  // Partial-fill retry counters
+  setRecursionCount(asset, count) {
+    this.append({ type: 'recursion', asset, count });
+  }
+
+  getRecursionCounts() {
+    return { ...this.state.recursionCounts };
+  }
+
+  // Seen ledger entries
+  markLedgerSeen(id) {
+    if (id && !this.state.ledgers.has(id)) {
+      this.append({ type: 'ledger', id });
+    }
+  }
+
+  hasSeenLedger(id) {
+    return this.state.ledgers.has(id);
+  }
+
+  // Orders and their lifecycle
+  recordOrder(txid, fields) {
+    this.append({ type: 'order', txid, fields });
+  }
+
+  getOrder(txid) {
+    return this.state.orders[txid] || null;
+  }
+
+  getOrders() {
+    return Object.values(this.state.orders);
+  }
+
+  getOpenOrders() {
+    return this.getOrders().filter(order => !TERMINAL_ORDER_STATUSES.includes(order.status));
+  }
+
+  // Scheduled retries
+  scheduleRetry(retry) {
+    const id = `${retry.asset}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = { id, ...retry };
+    this.append({ type: 'retry', retry: entry });
+    return entry;
+  }
+
+  completeRetry(id) {
+    if (this.state.retries[id]) {
+      this.append({ type: 'retry_done', id });
+    }
+  }
+
+  getPendingRetries() {
+    return Object.values(this.state.retries);
+  }
+
+  // Multi-hop route sales
+  recordRoute(id, route) {
+    this.append({ type: 'route', id, route });
+  }
+
+  getRoute(id) {
+    return this.state.routes[id] || null;
+  }
+
+  getRoutes() {
+    return Object.values(this.state.routes);
+  }
+
+  // TWAP executions with their children
+  recordTwap(id, execution) {
+    this.append({ type: 'twap', id, execution });
+  }
+
+  getTwaps() {
+    return Object.values(this.state.twaps);
+  }
+
+  // Fiat withdrawals and their lifecycle
+  recordWithdrawal(refid, fields) {
+    this.append({ type: 'withdrawal', refid, fields });
+  }
+
+  removeWithdrawal(refid) {
+    if (this.state.withdrawals[refid]) {
+      this.append({ type: 'withdrawal_removed', refid });
+    }
+  }
+
+  getWithdrawal(refid) {
+    return this.state.withdrawals[refid] || null;
+  }
+
+  getWithdrawals() {
+    return Object.values(this.state.withdrawals);
+  }
+
+  // Sale requests held for approval and their decisions
+  recordApproval(id, fields) {
+    this.append({ type: 'approval', id, fields });
+  }
+
+  getApproval(id) {
+    return this.state.approvals[id] || null;
+  }
+
+  getApprovals() {
+    return Object.values(this.state.approvals);
+  }
+
+  // Notional of every order placed, for the risk guard's caps
+  recordRiskOrder(asset, pair, notional) {
+    this.append({ type: 'risk_order', asset, pair, notional });
+  }
+
+  getRiskOrders(since = 0) {
+    return this.state.riskOrders.filter(order => Date.parse(order.placedAt) >= since);
+  }
+
+  // Operator pauses, keyed by asset ('*' for all assets); null clears a pause
+  setPause(scope, pause) {
+    this.append({ type: 'pause', scope, pause });
+  }
+
+  getPauses() {
+    return { ...this.state.pauses };
+  }
+
+  // Trip of the risk guard; null once it is reset
+  setRiskTrip(trip) {
+    this.append({ type: 'risk_trip', trip });
+  }
+
+  getRiskTrip() {
+    return this.state.riskTrip;
+  }
+
+  // Residues below the minimum order size
+  setDust(asset, amount, source) {
+    this.append({ type: 'dust', asset, amount, source });
+  }
+
+  getDust() {
+    return { ...this.state.dust };
+  }
+
+  // Summary counts (for status reporting)
+  getSummary() {
+    return {
+      assets: Object.keys(this.state.balances).length,
+      seenLedgers: this.state.ledgers.size,
+      orders: Object.keys(this.state.orders).length,
+      openOrders: this.getOpenOrders().length,
+      pendingRetries: Object.keys(this.state.retries).length,
+      dustAssets: Object.keys(this.state.dust).length,
+      withdrawals: Object.keys(this.state.withdrawals).length,
+      approvals: Object.keys(this.state.approvals).length
+    };
+  }
+}
+
+module.exports = new StateStore();
+module.exports.TERMINAL_ORDER_STATUSES = TERMINAL_ORDER_STATUSES;
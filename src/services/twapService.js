@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const executionService = require('./executionService');
+const stateStore = require('./stateStore');
+const withdrawalService = require('./withdrawalService');
+const pauseService = require('./pauseService');
+const { TERMINAL_ORDER_STATUSES } = require('./stateStore');
+const { Decimal, toDecimal, sumAmounts } = require('../utils/decimal');
+
+// Splits large sales into child orders spread over a time window and tracks
+// the parent execution together with its children. Executions are kept in the
+// state journal and resumed after a restart.
+class TwapService {
+  constructor() {
+    this.executions = new Map();
+    this.enqueueJob = null; // runs work on the asset's queue (set at startup)
+  }
+
+  // Check whether a sale should be sliced, returning its estimated notional value
+  async shouldSlice(pair, volume) {
+    if (!config.autoSell.twap.enabled) {
+      return { slice: false };
+    }
+
+    const ticker = await krakenService.getTicker(pair);
+    const notional = toDecimal(volume).times(toDecimal(ticker.bid));
+    return {
+      slice: notional.gt(config.autoSell.twap.thresholdNotional),
+      notional: notional.toNumber(),
+      price: ticker.bid
+    };
+  }
+
+  // Split a volume into child volumes that each respect the minimum order size
+  planSlices(asset, volume) {
+    const total = toDecimal(volume);
+    const minimumOrderSize = toDecimal(krakenService.getMinimumOrderSize(asset));
+    const sliceCount = minimumOrderSize.gt(0)
+      ? Math.min(config.autoSell.twap.slices, total.div(minimumOrderSize).floor().toNumber())
+      : config.autoSell.twap.slices;
+    if (sliceCount < 2) {
+      return [];
+    }
+
+    const sliceVolume = total.div(sliceCount);
+    const volumes = Array(sliceCount - 1).fill(sliceVolume.toNumber());
+    // Last child absorbs rounding so children always add up to the full volume
+    volumes.push(total.minus(sliceVolume.times(sliceCount - 1)).toNumber());
+    return volumes;
+  }
+
+  // Start a TWAP execution; returns null when the volume cannot be split
+  start(asset, pair, volume, notional) {
+    const volumes = this.planSlices(asset, volume);
+    if (volumes.length === 0) {
+      logger.info(`TWAP not possible for ${asset}, volume too small to split`, {
+        asset,
+        volume: toDecimal(volume).toFixed(),
+        minimum: krakenService.getMinimumOrderSize(asset)
+      });
+      return null;
+    }
+
+    const interval = Math.floor(config.autoSell.twap.window / volumes.length);
+    const now = Date.now();
+    const execution = {
+      id: `TWAP-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      asset,
+      pair,
+      totalVolume: toDecimal(volume).toNumber(),
+      estimatedNotional: notional,
+      sliceCount: volumes.length,
+      interval,
+      status: 'running',
+      createdAt: new Date(now).toISOString(),
+      completedAt: null,
+      children: volumes.map((childVolume, index) => ({
+        index,
+        volume: childVolume,
+        scheduledAt: new Date(now + index * interval).toISOString(),
+        status: 'scheduled',
+        txids: [],
+        filledVolume: 0,
+        cost: 0,
+        fee: 0,
+        error: null
+      }))
+    };
+    this.executions.set(execution.id, execution);
+    this.persist(execution);
+
+    logger.info(`Starting TWAP execution ${execution.id} for ${asset}`, {
+      id: execution.id,
+      asset,
+      pair,
+      totalVolume: execution.totalVolume,
+      estimatedNotional: notional,
+      sliceCount: volumes.length,
+      interval
+    });
+
+    this.runChild(execution, 0);
+    return execution;
+  }
+
+  // Place one child order, then schedule the next
+  async runChild(execution, index) {
+    await this.runChildJob(execution, index, 'twap_child', () => this.placeChild(execution, execution.children[index]));
+    this.afterChild(execution, index);
+  }
+
+  // Run work for a child on the asset's work queue, so it never overlaps other
+  // sales of the asset; a failure fails the child
+  async runChildJob(execution, index, name, fn) {
+    const child = execution.children[index];
+    try {
+      await (this.enqueueJob
+        ? this.enqueueJob(execution.asset, name, fn, { executionId: execution.id, index, volume: child.volume })
+        : fn());
+    } catch (err) {
+      child.status = 'failed';
+      child.error = err.message;
+      logger.error(`TWAP child ${index + 1}/${execution.sliceCount} of ${execution.id} failed`, {
+        id: execution.id,
+        asset: execution.asset,
+        volume: child.volume,
+        error: err.message
+      });
+    }
+    this.persist(execution);
+  }
+
+  // Log a finished child, then halt, finish or schedule the next one
+  afterChild(execution, index) {
+    const child = execution.children[index];
+    logger.info(`TWAP child ${index + 1}/${execution.sliceCount} of ${execution.id} ${child.status}`, {
+      id: execution.id,
+      asset: execution.asset,
+      ...this.getProgress(execution)
+    });
+
+    // A refused child means the price hit the floor, a blocked one that the risk guard tripped,
+    // a paused one that the operator paused selling; stop slicing
+    if (['refused', 'blocked', 'paused'].includes(child.status)) {
+      this.finish(execution, 'halted');
+      return;
+    }
+
+    if (index + 1 < execution.children.length) {
+      setTimeout(() => this.runChild(execution, index + 1), execution.interval);
+    } else {
+      const progress = this.getProgress(execution);
+      this.finish(execution, progress.remainingVolume > 0 ? 'partial' : 'completed');
+    }
+  }
+
+  // Place a child order and record the outcome on the child
+  async placeChild(execution, child) {
+    const minimumOrderSize = krakenService.getMinimumOrderSize(execution.asset);
+    if (pauseService.isPaused(execution.asset)) {
+      child.status = 'paused';
+    } else if (toDecimal(child.volume).lt(toDecimal(minimumOrderSize))) {
+      child.status = 'skipped';
+      child.error = 'below_minimum_order';
+    } else {
+      child.status = 'placed';
+      this.persist(execution);
+      const order = await executionService.sell(execution.asset, execution.pair, child.volume, {
+        strategy: 'twap',
+        executionId: execution.id,
+        child: child.index
+      });
+      child.txids = order.txids || [order.txid];
+
+      if (order.status === 'refused') {
+        child.status = 'refused';
+      } else if (order.status === 'blocked') {
+        child.status = 'blocked';
+        child.error = order.reason;
+      } else if (order.status === 'unplaceable') {
+        child.status = 'skipped';
+        child.error = order.reason;
+        child.txids = [];
+      } else {
+        // Compare against the volume actually placed (rounded down to the lot size)
+        const fills = await executionService.summarizeFills(child.txids);
+        child.filledVolume = fills.volumeExecuted;
+        child.cost = fills.cost;
+        child.fee = fills.fee;
+        child.status = toDecimal(fills.volumeExecuted).gte(toDecimal(order.volume)) ? 'filled' : 'partial';
+      }
+
+      for (const txid of child.txids) {
+        stateStore.recordOrder(txid, {
+          asset: execution.asset,
+          pair: execution.pair,
+          volume: child.volume,
+          strategy: 'twap',
+          executionId: execution.id,
+          dryRun: config.autoSell.dryRun,
+          status: child.status,
+          placedAt: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Settle a child that was being placed when the bot stopped, from the orders
+  // journaled for it: resting limit orders are cancelled, then their fills are
+  // summed. Without a journaled order nothing was placed.
+  async settleInterruptedChild(execution, child) {
+    const orders = stateStore.getOrders()
+      .filter(order => order.executionId === execution.id && order.child === child.index);
+    // Simulated orders only ever lived in memory
+    if (orders.length === 0 || orders.some(order => order.dryRun)) {
+      child.status = 'failed';
+      child.error = 'interrupted';
+      return;
+    }
+
+    for (const order of orders) {
+      if (order.orderType === 'limit' && !TERMINAL_ORDER_STATUSES.includes(order.status)) {
+        await krakenService.cancelOrder(order.txid);
+      }
+    }
+
+    child.txids = orders.map(order => order.txid);
+    const fills = await executionService.summarizeFills(child.txids);
+    child.filledVolume = fills.volumeExecuted;
+    child.cost = fills.cost;
+    child.fee = fills.fee;
+    const placedVolume = sumAmounts(orders.map(order => order.volume));
+    child.status = toDecimal(fills.volumeExecuted).gte(placedVolume) ? 'filled' : 'partial';
+    for (const txid of child.txids) {
+      stateStore.recordOrder(txid, { status: child.status });
+    }
+  }
+
+  // Pick up an execution that was running when the bot stopped: settle the
+  // child that was being placed, then continue with the remaining schedule
+  async resume(execution) {
+    const index = execution.children.findIndex(child => ['scheduled', 'placed'].includes(child.status));
+    if (index === -1) {
+      const progress = this.getProgress(execution);
+      this.finish(execution, progress.remainingVolume > 0 ? 'partial' : 'completed');
+      return;
+    }
+
+    const child = execution.children[index];
+    logger.info(`Resuming TWAP execution ${execution.id} for ${execution.asset} at child ${index + 1}/${execution.sliceCount}`, {
+      id: execution.id,
+      asset: execution.asset,
+      childStatus: child.status
+    });
+
+    if (child.status === 'placed') {
+      await this.runChildJob(execution, index, 'twap_resume', () => this.settleInterruptedChild(execution, child));
+      this.afterChild(execution, index);
+      return;
+    }
+
+    const delay = Math.max(Date.parse(child.scheduledAt) - Date.now(), 0);
+    setTimeout(() => this.runChild(execution, index), delay);
+  }
+
+  // Load executions from the state journal and resume those still running
+  restore() {
+    const executions = stateStore.getTwaps()
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    for (const { updatedAt, ...execution } of executions) {
+      this.executions.set(execution.id, execution);
+    }
+
+    const running = Array.from(this.executions.values()).filter(execution => execution.status === 'running');
+    for (const execution of running) {
+      this.resume(execution).catch(err => {
+        logger.error(`Resuming TWAP execution ${execution.id} failed`, { error: err.message });
+      });
+    }
+    return running.length;
+  }
+
+  persist(execution) {
+    stateStore.recordTwap(execution.id, execution);
+  }
+
+  finish(execution, status) {
+    execution.status = status;
+    execution.completedAt = new Date().toISOString();
+    this.persist(execution);
+    logger.info(`TWAP execution ${execution.id} ${status}`, {
+      id: execution.id,
+      asset: execution.asset,
+      ...this.getProgress(execution)
+    });
+    withdrawalService.requestWithdrawal(`twap_${execution.id}`);
+  }
+
+  // Aggregate progress across all children
+  getProgress(execution) {
+    const filledVolume = sumAmounts(execution.children.map(child => child.filledVolume));
+    const cost = sumAmounts(execution.children.map(child => child.cost));
+    const fee = sumAmounts(execution.children.map(child => child.fee));
+
+    return {
+      filledVolume: filledVolume.toNumber(),
+      remainingVolume: Decimal.max(toDecimal(execution.totalVolume).minus(filledVolume), 0).toNumber(),
+      averagePrice: filledVolume.gt(0) ? cost.div(filledVolume).toNumber() : 0,
+      cost: cost.toNumber(),
+      fee: fee.toNumber(),
+      childrenCompleted: execution.children.filter(child => !['scheduled', 'placed'].includes(child.status)).length
+    };
+  }
+
+  // Volume of running executions not sold yet (a Decimal): held back from
+  // other sales of the asset so they do not sell it from under the children
+  getReservedAmount(asset) {
+    return sumAmounts(Array.from(this.executions.values())
+      .filter(execution => execution.asset === asset && execution.status === 'running')
+      .flatMap(execution => execution.children)
+      .filter(child => ['scheduled', 'placed'].includes(child.status))
+      .map(child => child.volume));
+  }
+
+  // Get an execution with its aggregate progress
+  getExecution(id) {
+    const execution = this.executions.get(id);
+    return execution ? { ...execution, progress: this.getProgress(execution) } : null;
+  }
+
+  // List all executions, newest first
+  getExecutions() {
+    return Array.from(this.executions.keys())
+      .reverse()
+      .map(id => this.getExecution(id));
+  }
+}
+
+module.exports = new TwapService();
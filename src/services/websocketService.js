@@ -64,21 +64,15 @@ class WebSocketService {
       
       this.startHeartbeatMonitoring();
       
-      const subscribeMessage = {
-        method: 'subscribe',
-        params: {
-          channel: 'balances',
-          token: token
-        }
-      };
-      
-      logger.info('📡 Subscribing to balances channel...', {
-        method: subscribeMessage.method,
-        channel: subscribeMessage.params.channel,
-        tokenPreview: token.substring(0, 12) + '...'
-      });
-      
-      privateWs.send(JSON.stringify(subscribeMessage));
+      for (const subscribeMessage of this.getSubscribeMessages(token)) {
+        logger.info(`📡 Subscribing to ${subscribeMessage.params.channel} channel...`, {
+          method: subscribeMessage.method,
+          channel: subscribeMessage.params.channel,
+          tokenPreview: token.substring(0, 12) + '...'
+        });
+
+        privateWs.send(JSON.stringify(subscribeMessage));
+      }
       
       this.pingInterval = setInterval(() => {
         if (privateWs.readyState === WebSocket.OPEN) {
@@ -110,6 +104,8 @@ class WebSocketService {
         
         if (message.channel === 'balances') {
           await this.handleBalancesMessage(message);
+        } else if (message.channel === 'executions') {
+          this.handleExecutionsMessage(message);
         } else if (message.channel === 'heartbeat') {
           this.handleHeartbeatMessage();
         } else if (message.channel === 'status') {
@@ -302,7 +298,7 @@ class WebSocketService {
               refId: update.ref_id,
               timestamp: update.timestamp
             });
-            this.emit('deposit', update.asset, update.amount);
+            this.emit('deposit', update.asset, update.amount, update);
           }
         }
       }
@@ -311,6 +307,31 @@ class WebSocketService {
     }
   }
 
+  // Handle order execution messages (order status changes and fills)
+  handleExecutionsMessage(message) {
+    if (!Array.isArray(message.data)) {
+      logger.warn('Received executions message without data', { message });
+      return;
+    }
+
+    if (message.type === 'snapshot') {
+      logger.info(`Received executions snapshot with ${message.data.length} open orders`);
+    }
+
+    for (const execution of message.data) {
+      logger.debug(`Execution: ${execution.order_id} ${execution.exec_type}`, {
+        orderId: execution.order_id,
+        execType: execution.exec_type,
+        orderStatus: execution.order_status,
+        symbol: execution.symbol,
+        lastQty: execution.last_qty,
+        cumQty: execution.cum_qty,
+        timestamp: execution.timestamp
+      });
+      this.emit('execution', execution);
+    }
+  }
+
   // Handle heartbeat messages
   handleHeartbeatMessage() {
     const now = Date.now();
@@ -377,18 +398,13 @@ class WebSocketService {
         // Try to resubscribe after a delay
         setTimeout(async () => {
           try {
-            logger.info('Attempting to resubscribe to balances...');
+            logger.info('Attempting to resubscribe to balances and executions...');
             const newToken = await krakenService.getWebSocketToken();
             if (newToken && this.wsInstance.readyState === WebSocket.OPEN) {
-              const resubscribeMessage = {
-                method: 'subscribe',
-                params: {
-                  channel: 'balances',
-                  token: newToken
-                }
-              };
-              this.wsInstance.send(JSON.stringify(resubscribeMessage));
-              logger.info('Resubscription message sent');
+              for (const resubscribeMessage of this.getSubscribeMessages(newToken)) {
+                this.wsInstance.send(JSON.stringify(resubscribeMessage));
+              }
+              logger.info('Resubscription messages sent');
             } else {
               logger.warn('Cannot resubscribe - connection not ready or no token');
             }
@@ -416,9 +432,33 @@ class WebSocketService {
     if (message.result?.channel === 'balances') {
       logger.info('🎯 Successfully subscribed to real-time balance updates');
       logger.info('📊 Ready to receive balance snapshots and updates');
+    } else if (message.result?.channel === 'executions') {
+      logger.info('🎯 Successfully subscribed to order executions');
     }
   }
 
+  // Subscriptions for the authenticated channels
+  getSubscribeMessages(token) {
+    return [
+      {
+        method: 'subscribe',
+        params: {
+          channel: 'balances',
+          token: token
+        }
+      },
+      {
+        method: 'subscribe',
+        params: {
+          channel: 'executions',
+          token: token,
+          snap_orders: true,
+          snap_trades: false
+        }
+      }
+    ];
+  }
+
   // Get WebSocket instance
   getInstance() {
     return this.wsInstance;
@@ -484,6 +524,8 @@ class WebSocketService {
       this.onBalanceUpdate(...args);
     } else if (event === 'deposit' && this.onDeposit) {
       this.onDeposit(...args);
+    } else if (event === 'execution' && this.onExecution) {
+      this.onExecution(...args);
     }
   }
 }
@@ -0,0 +1,314 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const krakenService = require('./krakenService');
+const stateStore = require('./stateStore');
+const assetRegistry = require('./assetRegistry');
+const { Decimal, toDecimal } = require('../utils/decimal');
+const { KrakenError } = require('../utils/krakenErrors');
+
+// WithdrawStatus values after which a withdrawal no longer changes
+const TERMINAL_WITHDRAWAL_STATUSES = ['Success', 'Failure'];
+const TERMINAL_WITHDRAWAL_STATUS_PROPS = ['canceled', 'return'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Status of an attempt whose Withdraw call has not (or not yet) returned a refid
+const IN_DOUBT_STATUS = 'Requested';
+// How long an in-doubt attempt is looked for in WithdrawStatus before it is
+// considered never to have reached Kraken
+const IN_DOUBT_TIMEOUT_MS = 60 * 60 * 1000;
+// Allowed clock skew when matching WithdrawStatus times against requestedAt
+const IN_DOUBT_CLOCK_SKEW_MS = 60 * 1000;
+
+// Withdraws the target fiat to a pre-registered withdrawal key once sales have
+// settled, within a minimum balance threshold, a minimum interval between
+// withdrawals and a rolling 24h cap, then follows each withdrawal through WithdrawStatus
+class WithdrawalService {
+  constructor() {
+    this.running = null; // evaluation in progress, shared by concurrent triggers
+    this.pollInterval = null;
+    this.lastCheck = null;
+  }
+
+  isTerminal(withdrawal) {
+    return TERMINAL_WITHDRAWAL_STATUSES.includes(withdrawal.status) ||
+      TERMINAL_WITHDRAWAL_STATUS_PROPS.includes(withdrawal.statusProp);
+  }
+
+  // Check whether a withdrawal is due; called whenever a sale has settled
+  requestWithdrawal(source) {
+    if (!config.withdrawal.enabled) {
+      return Promise.resolve(null);
+    }
+    if (!this.running) {
+      this.running = this.evaluate(source)
+        .catch(err => {
+          logger.error('Withdrawal check failed', { source, error: err.message });
+          return this.recordCheck(source, 'failed', { error: err.message });
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  recordCheck(source, outcome, details = {}) {
+    this.lastCheck = {
+      source,
+      outcome,
+      ...details,
+      checkedAt: new Date().toISOString()
+    };
+    logger.info(`Withdrawal check: ${outcome}`, this.lastCheck);
+    return this.lastCheck;
+  }
+
+  // Amount withdrawn (or still in flight) over the last 24 hours
+  getWithdrawnLastDay() {
+    const since = Date.now() - DAY_MS;
+    return stateStore.getWithdrawals()
+      .filter(withdrawal => Date.parse(withdrawal.requestedAt) >= since && withdrawal.status !== 'Failure')
+      .reduce((total, withdrawal) => total.plus(toDecimal(withdrawal.amountExact)), new Decimal(0));
+  }
+
+  getLastWithdrawal() {
+    return stateStore.getWithdrawals()
+      .sort((a, b) => Date.parse(b.requestedAt) - Date.parse(a.requestedAt))[0] || null;
+  }
+
+  async evaluate(source) {
+    const { key, asset, minAmount, keepBalance, minInterval, dailyCap } = config.withdrawal;
+
+    if (!key) {
+      return this.recordCheck(source, 'no_withdrawal_key');
+    }
+
+    const lastWithdrawal = this.getLastWithdrawal();
+    if (lastWithdrawal && Date.now() - Date.parse(lastWithdrawal.requestedAt) < minInterval) {
+      return this.recordCheck(source, 'min_interval', {
+        lastWithdrawalAt: lastWithdrawal.requestedAt,
+        minInterval
+      });
+    }
+
+    const balance = await krakenService.checkBalanceForAsset(asset);
+    if (!balance) {
+      return this.recordCheck(source, 'balance_unavailable');
+    }
+
+    const decimals = assetRegistry.getDecimals(asset) ?? 2;
+    let amount = Decimal.max(toDecimal(balance.exact.totalBalance).minus(keepBalance), 0);
+    const details = { asset, balance: balance.exact.totalBalance, keepBalance, minAmount };
+
+    if (dailyCap > 0) {
+      const remainingCap = Decimal.max(toDecimal(dailyCap).minus(this.getWithdrawnLastDay()), 0);
+      details.remainingDailyCap = remainingCap.toFixed();
+      if (remainingCap.lt(amount)) {
+        amount = remainingCap;
+        details.cappedByDailyCap = true;
+      }
+    }
+    amount = amount.toDecimalPlaces(decimals, Decimal.ROUND_DOWN);
+
+    if (amount.lt(minAmount)) {
+      return this.recordCheck(source, details.cappedByDailyCap ? 'daily_cap_reached' : 'below_threshold', {
+        ...details,
+        amount: amount.toFixed()
+      });
+    }
+
+    // Kraken's own limit for this key may be lower than what we would withdraw
+    const info = await krakenService.getWithdrawInfo(asset, key, amount.toFixed());
+    if (info.limit !== undefined && amount.gt(toDecimal(info.limit))) {
+      amount = toDecimal(info.limit).toDecimalPlaces(decimals, Decimal.ROUND_DOWN);
+      details.cappedByKrakenLimit = true;
+      if (amount.lt(minAmount)) {
+        return this.recordCheck(source, 'kraken_limit', { ...details, amount: amount.toFixed(), limit: info.limit });
+      }
+    }
+
+    if (config.autoSell.dryRun) {
+      return this.recordCheck(source, 'dry_run', {
+        ...details,
+        amount: amount.toFixed(),
+        method: info.method,
+        fee: info.fee
+      });
+    }
+
+    // Journal the attempt before calling Withdraw, so a withdrawal Kraken carried
+    // out for a request that failed (e.g. timed out) still counts towards the
+    // interval and the daily cap until WithdrawStatus tells what happened
+    const attemptId = `pending-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const fields = {
+      asset,
+      key,
+      amount: amount.toNumber(),
+      amountExact: amount.toFixed(),
+      method: info.method,
+      fee: info.fee,
+      source,
+      requestedAt: new Date().toISOString()
+    };
+    stateStore.recordWithdrawal(attemptId, { ...fields, status: IN_DOUBT_STATUS, statusProp: null, inDoubt: true });
+
+    let result;
+    try {
+      result = await krakenService.withdraw(asset, key, amount.toFixed());
+    } catch (err) {
+      if (err instanceof KrakenError && !err.isRetryable()) {
+        // Kraken answered with an error, so nothing was withdrawn
+        stateStore.recordWithdrawal(attemptId, { status: 'Failure', inDoubt: false, error: err.message });
+      } else {
+        stateStore.recordWithdrawal(attemptId, { error: err.message });
+        logger.warn('Withdraw request failed and may have gone through, reconciling through WithdrawStatus', {
+          attemptId,
+          asset,
+          amount: amount.toFixed(),
+          error: err.message
+        });
+        this.startStatusPolling();
+      }
+      throw err;
+    }
+
+    stateStore.removeWithdrawal(attemptId);
+    stateStore.recordWithdrawal(result.refid, { ...fields, status: 'Initial', statusProp: null });
+    this.startStatusPolling();
+
+    return this.recordCheck(source, 'withdrawn', {
+      ...details,
+      amount: amount.toFixed(),
+      refid: result.refid
+    });
+  }
+
+  // Poll WithdrawStatus while any withdrawal is still in flight
+  startStatusPolling() {
+    if (this.pollInterval) {
+      return;
+    }
+    this.pollInterval = setInterval(() => {
+      this.pollStatus().catch(err => {
+        logger.error('Withdrawal status poll failed', { error: err.message });
+      });
+    }, config.withdrawal.statusPollInterval);
+  }
+
+  stopStatusPolling() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  async pollStatus() {
+    const pending = stateStore.getWithdrawals().filter(withdrawal => !this.isTerminal(withdrawal));
+    if (pending.length === 0) {
+      this.stopStatusPolling();
+      return;
+    }
+
+    const assets = [...new Set(pending.map(withdrawal => withdrawal.asset))];
+    for (const asset of assets) {
+      const statuses = await krakenService.getWithdrawStatus(asset);
+      for (const withdrawal of pending.filter(item => item.asset === asset)) {
+        if (withdrawal.inDoubt) {
+          this.reconcileInDoubt(withdrawal, statuses);
+          continue;
+        }
+
+        const status = statuses.find(item => item.refid === withdrawal.refid);
+        if (!status) {
+          continue;
+        }
+        this.applyStatus(withdrawal, status);
+      }
+    }
+  }
+
+  applyStatus(withdrawal, status) {
+    const statusProp = status['status-prop'] || null;
+    if (status.status !== withdrawal.status || statusProp !== withdrawal.statusProp) {
+      stateStore.recordWithdrawal(withdrawal.refid, {
+        status: status.status,
+        statusProp,
+        txid: status.txid || null,
+        fee: status.fee ?? withdrawal.fee
+      });
+      logger.info(`Withdrawal ${withdrawal.refid} ${status.status}${statusProp ? ` (${statusProp})` : ''}`, {
+        refid: withdrawal.refid,
+        asset: withdrawal.asset,
+        amount: withdrawal.amountExact,
+        status: status.status,
+        statusProp
+      });
+    }
+  }
+
+  // Match an attempt whose Withdraw call failed against the withdrawals Kraken
+  // reports: one of the same amount (with or without its fee) made since the
+  // attempt, whose refid is not journaled yet. Adopt it under its refid, or give
+  // up on the attempt once Kraken has not shown it for IN_DOUBT_TIMEOUT_MS.
+  reconcileInDoubt(withdrawal, statuses) {
+    const requestedAt = Date.parse(withdrawal.requestedAt);
+    const amount = toDecimal(withdrawal.amountExact);
+    const status = statuses.find(item =>
+      !stateStore.getWithdrawal(item.refid) &&
+      Number(item.time) * 1000 >= requestedAt - IN_DOUBT_CLOCK_SKEW_MS &&
+      (toDecimal(item.amount).eq(amount) || toDecimal(item.amount).plus(toDecimal(item.fee ?? 0)).eq(amount))
+    );
+
+    if (status) {
+      const { refid, updatedAt, error, inDoubt, ...fields } = withdrawal;
+      stateStore.removeWithdrawal(refid);
+      stateStore.recordWithdrawal(status.refid, { ...fields, status: IN_DOUBT_STATUS, reconciledFrom: refid });
+      logger.info(`In-doubt withdrawal ${refid} found as ${status.refid}`, { asset: withdrawal.asset, amount: withdrawal.amountExact });
+      this.applyStatus(stateStore.getWithdrawal(status.refid), status);
+      return;
+    }
+
+    if (Date.now() - requestedAt >= IN_DOUBT_TIMEOUT_MS) {
+      stateStore.recordWithdrawal(withdrawal.refid, { status: 'Failure', inDoubt: false });
+      logger.warn(`In-doubt withdrawal ${withdrawal.refid} not found in WithdrawStatus, treating it as not made`, {
+        asset: withdrawal.asset,
+        amount: withdrawal.amountExact
+      });
+    }
+  }
+
+  // Resume following withdrawals that were in flight before a restart
+  restore() {
+    if (stateStore.getWithdrawals().some(withdrawal => !this.isTerminal(withdrawal))) {
+      this.startStatusPolling();
+    }
+  }
+
+  getWithdrawals() {
+    return stateStore.getWithdrawals()
+      .sort((a, b) => Date.parse(b.requestedAt) - Date.parse(a.requestedAt));
+  }
+
+  getWithdrawal(refid) {
+    return stateStore.getWithdrawal(refid);
+  }
+
+  // Configuration and limits in effect (for the API)
+  getStatus() {
+    const { enabled, asset, minAmount, keepBalance, minInterval, dailyCap, key } = config.withdrawal;
+    return {
+      enabled,
+      asset,
+      keyConfigured: !!key,
+      minAmount,
+      keepBalance,
+      minInterval,
+      dailyCap,
+      withdrawnLastDay: this.getWithdrawnLastDay().toFixed(),
+      lastCheck: this.lastCheck
+    };
+  }
+}
+
+module.exports = new WithdrawalService();
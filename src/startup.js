@@ -1,6 +1,16 @@
 const autoSellService = require('./services/autoSellService');
 const websocketService = require('./services/websocketService');
 const krakenService = require('./services/krakenService');
+const sellPolicyService = require('./services/sellPolicyService');
+const stateStore = require('./services/stateStore');
+const withdrawalService = require('./services/withdrawalService');
+const approvalService = require('./services/approvalService');
+const twapService = require('./services/twapService');
+const routeService = require('./services/routeService');
+const orderTracker = require('./services/orderTracker');
+const assetRegistry = require('./services/assetRegistry');
+const { loadApiKeys } = require('./middleware/auth');
+const nonceManager = require('./services/nonceManager');
 const config = require('./config');
 const logger = require('./utils/logger');
 
@@ -14,8 +24,53 @@ async function startServices() {
     logger.info(`   Environment: ${config.server.environment}`);
     logger.info(`   Kraken Sandbox: ${config.kraken.sandbox}`);
     logger.info(`   Target Fiat: ${config.kraken.targetFiat}`);
+    logger.info(`   Dry Run: ${config.autoSell.dryRun}`);
+    logger.info(`   Execution Strategy: ${config.autoSell.execution.strategy}`);
     logger.info(`   WebSocket Endpoint: ${config.kraken.endpoints.websocket}`);
     logger.info(`   REST API Endpoint: ${config.kraken.endpoints.rest}`);
+    logger.info(`   Kraken Rate Limit Tier: ${krakenService.rateLimiter.getTier()}`);
+    
+    // Load API keys so a broken key configuration stops the bot before it trades
+    logger.info('🔐 Loading API keys...');
+    try {
+      if (!config.auth.enabled) {
+        logger.warn('⚠️ API authentication is disabled (AUTH_ENABLED=false)');
+      } else if (loadApiKeys() === 0) {
+        logger.warn('⚠️ No API keys configured; every endpoint except health and docs will answer 401');
+      }
+    } catch (err) {
+      logger.error('❌ Failed to load API keys', {
+        error: err.message,
+        file: config.auth.keysFile
+      });
+      throw err;
+    }
+
+    // Nonces for private calls continue from the persisted high-water mark
+    logger.info('🔢 Loading nonce high-water mark...');
+    try {
+      nonceManager.init();
+    } catch (err) {
+      logger.error('❌ Failed to initialize the nonce manager', {
+        error: err.message,
+        file: config.kraken.nonce.file
+      });
+      throw err;
+    }
+
+    // Load asset names, pairs and minimum order sizes
+    logger.info('📊 Loading asset registry and minimum order sizes...');
+    try {
+      await krakenService.loadAssetRegistry();
+      krakenService.startAssetRegistryRefresh();
+      logger.info(`✅ Loaded ${assetRegistry.getAssets().length} assets and ${krakenService.getTradablePairs().length} pairs`);
+    } catch (err) {
+      logger.error('❌ Failed to load asset registry', {
+        error: err.message,
+        stack: err.stack
+      });
+      throw err;
+    }
     
     // Validate API credentials and get account balance
     logger.info('🔑 Validating API credentials...');
@@ -36,7 +91,7 @@ async function startServices() {
       if (nonZeroAssets.length > 0) {
         logger.info('   Non-zero balances:');
         nonZeroAssets.forEach(([asset, amount]) => {
-          const convertedAsset = require('./utils/helpers').convertAssetName(asset);
+          const convertedAsset = assetRegistry.getStandardName(asset);
           logger.info(`     ${asset} (${convertedAsset}): ${amount}`);
         });
       }
@@ -49,17 +104,37 @@ async function startServices() {
       throw err;
     }
     
-    // Fetch minimum order sizes only for assets we have
-    logger.info('📊 Fetching minimum order sizes for account assets...');
+    // Load sell policy before anything can be sold
+    logger.info('📜 Loading sell policy...');
     try {
-      // Get list of assets we have (including zero balances for future deposits)
-      const accountAssets = Object.keys(balance);
-      await krakenService.fetchMinimumOrderSizesForAssets(accountAssets);
-      logger.info(`✅ Loaded minimum order sizes for ${accountAssets.length} assets`);
+      sellPolicyService.load();
+      logger.info('✅ Sell policy loaded');
     } catch (err) {
-      logger.error('❌ Failed to fetch minimum order sizes', {
+      logger.error('❌ Failed to load sell policy', {
         error: err.message,
-        stack: err.stack
+        file: config.autoSell.policyFile
+      });
+      throw err;
+    }
+    
+    // Restore persisted state so a restart does not re-sell or lose pending work
+    logger.info('💾 Restoring persisted state...');
+    try {
+      stateStore.load();
+      // Restored orders are followed up right away, so finalized orders need a handler first
+      orderTracker.onOrderFinalized = (record) => autoSellService.handleOrderFinalized(record);
+      approvalService.onApproved = (request) => autoSellService.sellApproved(request);
+      twapService.enqueueJob = (asset, name, fn, meta) => autoSellService.enqueueAssetJob(asset, name, fn, meta);
+      autoSellService.restoreState();
+      withdrawalService.restore();
+      approvalService.restore();
+      twapService.restore();
+      routeService.restore();
+      logger.info('✅ Persisted state restored');
+    } catch (err) {
+      logger.error('❌ Failed to restore persisted state', {
+        error: err.message,
+        file: config.persistence.file
       });
       throw err;
     }
@@ -74,8 +149,11 @@ async function startServices() {
     websocketService.onBalanceUpdate = async (balances, isSnapshot, updateInfo) => {
       await autoSellService.handleBalanceUpdate(balances, isSnapshot, updateInfo);
     };
-    websocketService.onDeposit = async (asset, amount) => {
-      await autoSellService.handleDeposit(asset, amount);
+    websocketService.onDeposit = async (asset, amount, updateInfo) => {
+      await autoSellService.handleDeposit(asset, amount, updateInfo);
+    };
+    websocketService.onExecution = (execution) => {
+      orderTracker.handleExecution(execution);
     };
     logger.info('✅ WebSocket event handlers configured');
 
@@ -83,15 +161,21 @@ async function startServices() {
     logger.info('🌐 Starting WebSocket connection...');
     await websocketService.start();
     logger.info('✅ WebSocket service started');
+
+    // Scheduled dust sweep (optional)
+    autoSellService.startDustSweep();
     
     // Final status
     logger.info('🎉 All services started successfully!');
     logger.info('==========================================');
     logger.info('📡 Service Status:');
-    logger.info(`   REST API: ✅ Ready`);
+    logger.info(`   REST API: ✅ Ready${config.auth.enabled ? '' : ' (authentication disabled)'}`);
     logger.info(`   WebSocket: ✅ Connected`);
-    logger.info(`   Auto-Sell: ✅ Active`);
+    logger.info(`   Auto-Sell: ✅ Active${config.autoSell.dryRun ? ' (dry run - orders are simulated)' : ''}`);
     logger.info(`   Balance Monitoring: ✅ Active`);
+    logger.info(`   Dust Sweep: ${config.autoSell.dust.sweepEnabled ? `✅ Every ${config.autoSell.dust.sweepInterval / 60000} min` : '⏸️ Disabled'}`);
+    logger.info(`   Sale Approvals: ${approvalService.isEnabled() ? `✅ Deposits above ${config.autoSell.approval.thresholdNotional} ${config.kraken.targetFiat}` : '⏸️ Disabled'}`);
+    logger.info(`   Withdrawals: ${config.withdrawal.enabled ? `✅ ${config.withdrawal.asset} to key "${config.withdrawal.key}"` : '⏸️ Disabled'}`);
     logger.info('==========================================');
     logger.info('🔔 Bot is now monitoring for new deposits and will auto-sell eligible assets');
     logger.info(`📊 API Documentation available at: http://localhost:${config.server.port}/api/docs`);
@@ -0,0 +1,37 @@
+const Decimal = require('decimal.js');
+
+// Parse an amount (Kraken sends decimal strings) without going through a float.
+// Missing or unparseable values count as 0, like parseFloat(x) || 0 did.
+function toDecimal(value) {
+  if (value instanceof Decimal) {
+    return value;
+  }
+  try {
+    return new Decimal(value === undefined || value === null || value === '' ? 0 : String(value));
+  } catch (err) {
+    return new Decimal(0);
+  }
+}
+
+// Exact amount as a plain decimal string (never exponent notation)
+function toAmountString(value) {
+  return toDecimal(value).toFixed();
+}
+
+// Numeric convenience value of an amount
+function toAmountNumber(value) {
+  return toDecimal(value).toNumber();
+}
+
+// Sum of amounts
+function sumAmounts(values) {
+  return values.reduce((total, value) => total.plus(toDecimal(value)), new Decimal(0));
+}
+
+module.exports = {
+  Decimal,
+  toDecimal,
+  toAmountString,
+  toAmountNumber,
+  sumAmounts
+};
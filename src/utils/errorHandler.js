@@ -1,4 +1,6 @@
+const config = require('../config');
 const logger = require('./logger');
+const { KrakenError, ErrorKinds } = require('./krakenErrors');
 
 // Standard error response format
 const createErrorResponse = (error, statusCode = 500, context = {}) => {
@@ -19,6 +21,16 @@ const createErrorResponse = (error, statusCode = 500, context = {}) => {
     response.requestId = error.requestId;
   }
 
+  // Seconds until a rate-limited request may be retried
+  if (error.retryAfter) {
+    response.retryAfter = error.retryAfter;
+  }
+
+  // Kraken error code behind a failed Kraken call
+  if (error.krakenCode) {
+    response.krakenCode = error.krakenCode;
+  }
+
   return response;
 };
 
@@ -27,6 +39,7 @@ const ErrorTypes = {
   VALIDATION_ERROR: 'Validation Error',
   NOT_FOUND: 'Not Found',
   UNAUTHORIZED: 'Unauthorized',
+  FORBIDDEN: 'Forbidden',
   RATE_LIMIT_EXCEEDED: 'Rate Limit Exceeded',
   KRAKEN_API_ERROR: 'Kraken API Error',
   WEBSOCKET_ERROR: 'WebSocket Error',
@@ -39,6 +52,7 @@ const StatusCodes = {
   [ErrorTypes.VALIDATION_ERROR]: 400,
   [ErrorTypes.NOT_FOUND]: 404,
   [ErrorTypes.UNAUTHORIZED]: 401,
+  [ErrorTypes.FORBIDDEN]: 403,
   [ErrorTypes.RATE_LIMIT_EXCEEDED]: 429,
   [ErrorTypes.KRAKEN_API_ERROR]: 502,
   [ErrorTypes.WEBSOCKET_ERROR]: 503,
@@ -61,6 +75,9 @@ const sendErrorResponse = (res, error, context = {}) => {
     ip: context.ip
   });
 
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
   res.status(statusCode).json(response);
 };
 
@@ -79,6 +96,19 @@ const createNotFoundError = (message, resource = null) => ({
   statusCode: 404
 });
 
+const createUnauthorizedError = (message) => ({
+  type: ErrorTypes.UNAUTHORIZED,
+  message,
+  statusCode: 401
+});
+
+const createForbiddenError = (message, requiredRole = null) => ({
+  type: ErrorTypes.FORBIDDEN,
+  message,
+  requiredRole,
+  statusCode: 403
+});
+
 const createKrakenApiError = (message, apiError = null) => ({
   type: ErrorTypes.KRAKEN_API_ERROR,
   message,
@@ -86,6 +116,20 @@ const createKrakenApiError = (message, apiError = null) => ({
   statusCode: 502
 });
 
+// API error for a failed Kraken call (a KrakenError): Kraken being throttled or
+// unavailable answers 503 (throttling with Retry-After), other errors 502
+const createKrakenApiErrorFrom = (krakenError, message = krakenError.message) => {
+  const error = createKrakenApiError(message, krakenError);
+  error.krakenCode = krakenError.code;
+  if (krakenError.kind !== ErrorKinds.PERMANENT) {
+    error.statusCode = 503;
+  }
+  if (krakenError.kind === ErrorKinds.BACKOFF) {
+    error.retryAfter = Math.max(Math.ceil(config.kraken.backoffDelay / 1000), 1);
+  }
+  return error;
+};
+
 const createWebSocketError = (message, connectionState = null) => ({
   type: ErrorTypes.WEBSOCKET_ERROR,
   message,
@@ -118,6 +162,11 @@ const errorHandler = (err, req, res, next) => {
     body: req.body
   };
 
+  // Handle Kraken API errors
+  if (err instanceof KrakenError) {
+    return sendErrorResponse(res, createKrakenApiErrorFrom(err), context);
+  }
+
   // Handle validation errors
   if (err.message && (err.message.includes('Asset parameter') || 
                       err.message.includes('Transaction ID') || 
@@ -126,14 +175,6 @@ const errorHandler = (err, req, res, next) => {
     return sendErrorResponse(res, validationError, context);
   }
 
-  // Handle Kraken API errors
-  if (err.message && (err.message.includes('Kraken') || 
-                      err.message.includes('API') ||
-                      err.message.includes('rate limit'))) {
-    const krakenError = createKrakenApiError(err.message, err);
-    return sendErrorResponse(res, krakenError, context);
-  }
-
   // Handle WebSocket errors
   if (err.message && err.message.includes('WebSocket')) {
     const wsError = createWebSocketError(err.message);
@@ -164,7 +205,10 @@ module.exports = {
   sendSuccessResponse,
   createValidationError,
   createNotFoundError,
+  createUnauthorizedError,
+  createForbiddenError,
   createKrakenApiError,
+  createKrakenApiErrorFrom,
   createWebSocketError,
   createRateLimitError,
   createInternalError,
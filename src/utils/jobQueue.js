@@ -0,0 +1,122 @@
+const logger = require('./logger');
+
+// Job queue that runs jobs for the same key (asset) one at a time, in order,
+// while jobs for different keys run concurrently up to a global limit
+class KeyedJobQueue {
+  constructor(maxConcurrency = 3) {
+    this.maxConcurrency = maxConcurrency;
+    this.queues = new Map(); // key -> pending jobs
+    this.activeKeys = new Set();
+    this.inFlight = new Map(); // job id -> job
+    this.nextId = 1;
+    this.completedCount = 0;
+    this.failedCount = 0;
+  }
+
+  // Add a job; resolves or rejects with the job's own result
+  enqueue(key, name, fn, meta = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextId++,
+        key,
+        name,
+        meta,
+        fn,
+        resolve,
+        reject,
+        enqueuedAt: new Date().toISOString(),
+        startedAt: null
+      };
+
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+      }
+      this.queues.get(key).push(job);
+
+      logger.debug(`Queued job ${job.id} (${name}) for ${key}`, {
+        key,
+        name,
+        depth: this.queues.get(key).length,
+        running: this.inFlight.size
+      });
+
+      this._schedule();
+    });
+  }
+
+  // Start as many jobs as the concurrency limit allows, at most one per key
+  _schedule() {
+    for (const [key, jobs] of this.queues) {
+      if (this.inFlight.size >= this.maxConcurrency) {
+        return;
+      }
+      if (this.activeKeys.has(key) || jobs.length === 0) {
+        continue;
+      }
+      this._run(jobs.shift());
+    }
+  }
+
+  async _run(job) {
+    this.activeKeys.add(job.key);
+    this.inFlight.set(job.id, job);
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.resolve(await job.fn());
+      this.completedCount++;
+    } catch (err) {
+      this.failedCount++;
+      logger.error(`Job ${job.id} (${job.name}) for ${job.key} failed`, {
+        key: job.key,
+        name: job.name,
+        error: err.message
+      });
+      job.reject(err);
+    } finally {
+      this.inFlight.delete(job.id);
+      this.activeKeys.delete(job.key);
+      // A key with more jobs moves behind the other waiting keys, so a busy
+      // key cannot starve the others
+      const jobs = this.queues.get(job.key);
+      this.queues.delete(job.key);
+      if (jobs?.length > 0) {
+        this.queues.set(job.key, jobs);
+      }
+      this._schedule();
+    }
+  }
+
+  // Queue depth per key and jobs currently running
+  getStatus() {
+    const depthByKey = {};
+    let queued = 0;
+    for (const [key, jobs] of this.queues) {
+      if (jobs.length > 0) {
+        depthByKey[key] = jobs.length;
+        queued += jobs.length;
+      }
+    }
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      running: this.inFlight.size,
+      queued,
+      depthByKey,
+      inFlight: Array.from(this.inFlight.values()).map(job => ({
+        id: job.id,
+        key: job.key,
+        name: job.name,
+        meta: job.meta,
+        enqueuedAt: job.enqueuedAt,
+        startedAt: job.startedAt
+      })),
+      completed: this.completedCount,
+      failed: this.failedCount
+    };
+  }
+}
+
+module.exports = {
+  KeyedJobQueue
+};
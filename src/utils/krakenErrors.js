@@ -0,0 +1,153 @@
+// How a failed Kraken call should be handled
+const ErrorKinds = {
+  RETRYABLE: 'retryable', // transient: retry shortly
+  BACKOFF: 'backoff', // throttled or market temporarily restricted: retry after a longer pause
+  PERMANENT: 'permanent' // retrying the same call cannot succeed
+};
+
+// Known Kraken error codes. Codes can carry extra detail after the message
+// (e.g. EGeneral:Invalid arguments:volume) and are matched by prefix.
+const KNOWN_ERRORS = {
+  'EAPI:Invalid nonce': { kind: ErrorKinds.RETRYABLE, reason: 'invalid_nonce' },
+  'EAPI:Rate limit exceeded': { kind: ErrorKinds.BACKOFF, reason: 'rate_limited' },
+  'EAPI:Invalid key': { kind: ErrorKinds.PERMANENT, reason: 'invalid_credentials' },
+  'EAPI:Invalid signature': { kind: ErrorKinds.PERMANENT, reason: 'invalid_credentials' },
+  'EAPI:Feature disabled': { kind: ErrorKinds.PERMANENT, reason: 'feature_disabled' },
+  'EAPI:Bad request': { kind: ErrorKinds.PERMANENT, reason: 'invalid_request' },
+  'EGeneral:Too many requests': { kind: ErrorKinds.BACKOFF, reason: 'rate_limited' },
+  'EGeneral:Temporary lockout': { kind: ErrorKinds.BACKOFF, reason: 'temporary_lockout' },
+  'EGeneral:Internal error': { kind: ErrorKinds.RETRYABLE, reason: 'kraken_internal_error' },
+  'EGeneral:Invalid arguments': { kind: ErrorKinds.PERMANENT, reason: 'invalid_arguments' },
+  'EGeneral:Permission denied': { kind: ErrorKinds.PERMANENT, reason: 'permission_denied' },
+  'EGeneral:Unknown method': { kind: ErrorKinds.PERMANENT, reason: 'invalid_request' },
+  'EService:Unavailable': { kind: ErrorKinds.RETRYABLE, reason: 'service_unavailable' },
+  'EService:Busy': { kind: ErrorKinds.RETRYABLE, reason: 'service_unavailable' },
+  'EService:Deadline elapsed': { kind: ErrorKinds.RETRYABLE, reason: 'service_unavailable' },
+  'EService:Market in cancel_only mode': { kind: ErrorKinds.BACKOFF, reason: 'market_restricted' },
+  'EService:Market in post_only mode': { kind: ErrorKinds.BACKOFF, reason: 'market_restricted' },
+  'EService:Market in limit_only mode': { kind: ErrorKinds.BACKOFF, reason: 'market_restricted' },
+  'EOrder:Rate limit exceeded': { kind: ErrorKinds.BACKOFF, reason: 'rate_limited' },
+  'EOrder:Orders limit exceeded': { kind: ErrorKinds.BACKOFF, reason: 'orders_limit' },
+  'EOrder:Positions limit exceeded': { kind: ErrorKinds.BACKOFF, reason: 'orders_limit' },
+  'EOrder:Trading agreement required': { kind: ErrorKinds.PERMANENT, reason: 'permission_denied' },
+  'EOrder:Insufficient funds': { kind: ErrorKinds.PERMANENT, reason: 'insufficient_funds' },
+  'EOrder:Order minimum not met': { kind: ErrorKinds.PERMANENT, reason: 'below_minimum_order' },
+  'EOrder:Cost minimum not met': { kind: ErrorKinds.PERMANENT, reason: 'below_minimum_cost' },
+  'EOrder:Tick size check failed': { kind: ErrorKinds.PERMANENT, reason: 'invalid_price' },
+  'EOrder:Invalid price': { kind: ErrorKinds.PERMANENT, reason: 'invalid_price' },
+  'EOrder:Unknown order': { kind: ErrorKinds.PERMANENT, reason: 'unknown_order' },
+  'EOrder:Invalid order': { kind: ErrorKinds.PERMANENT, reason: 'unknown_order' },
+  'EQuery:Unknown asset pair': { kind: ErrorKinds.PERMANENT, reason: 'unknown_pair' },
+  'EQuery:Unknown asset': { kind: ErrorKinds.PERMANENT, reason: 'unknown_asset' },
+  'EFunding:Insufficient funds': { kind: ErrorKinds.PERMANENT, reason: 'insufficient_funds' },
+  'EFunding:Unknown withdraw key': { kind: ErrorKinds.PERMANENT, reason: 'unknown_withdraw_key' },
+  'EFunding:Invalid amount': { kind: ErrorKinds.PERMANENT, reason: 'invalid_arguments' },
+  'EFunding:Too many addresses': { kind: ErrorKinds.PERMANENT, reason: 'invalid_request' }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Severity when a response carries several errors: the most restrictive wins
+const KIND_SEVERITY = {
+  [ErrorKinds.RETRYABLE]: 0,
+  [ErrorKinds.BACKOFF]: 1,
+  [ErrorKinds.PERMANENT]: 2
+};
+
+// Classify a single Kraken error code such as "EOrder:Insufficient funds"
+function classifyCode(code) {
+  const known = Object.keys(KNOWN_ERRORS)
+    .filter(prefix => code === prefix || code.startsWith(`${prefix}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (known) {
+    return KNOWN_ERRORS[known];
+  }
+  // Unlisted service errors are transient; anything else is not worth retrying
+  return code.startsWith('EService:')
+    ? { kind: ErrorKinds.RETRYABLE, reason: 'service_unavailable' }
+    : { kind: ErrorKinds.PERMANENT, reason: 'kraken_error' };
+}
+
+// Error of a Kraken call. `codes` holds the Kraken error codes of the response
+// (empty for network and HTTP failures) and `code` the one that decided its
+// `kind`, which says how to handle it.
+class KrakenError extends Error {
+  constructor(message, { codes = [], code = null, kind, reason, method = null, httpStatus = null, cause = null }) {
+    super(message);
+    this.name = 'KrakenError';
+    this.codes = codes;
+    this.code = code || codes[0] || cause?.code || null;
+    this.kind = kind;
+    this.reason = reason;
+    this.method = method;
+    this.httpStatus = httpStatus; // HTTP status of a failed HTTP exchange with Kraken
+    this.cause = cause;
+  }
+
+  isRetryable() {
+    return this.kind === ErrorKinds.RETRYABLE;
+  }
+
+  isBackoff() {
+    return this.kind === ErrorKinds.BACKOFF;
+  }
+
+  isPermanent() {
+    return this.kind === ErrorKinds.PERMANENT;
+  }
+
+  hasReason(reason) {
+    return this.reason === reason;
+  }
+}
+
+// The kraken-api client throws the error[] strings of a response joined with
+// ", " and without their leading "E" (e.g. "Order:Insufficient funds")
+function parseCodes(message) {
+  return message.split(', ')
+    .filter(part => /^[A-Z][A-Za-z]+:/.test(part))
+    .map(part => `E${part}`);
+}
+
+// Turn anything thrown by a Kraken call into a KrakenError
+function toKrakenError(error, method = null) {
+  if (error instanceof KrakenError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const httpStatus = error?.response?.statusCode || error?.response?.status || null;
+  const details = { method, httpStatus, cause: error };
+
+  if (NETWORK_ERROR_CODES.includes(error?.code) || error?.name === 'TimeoutError') {
+    return new KrakenError(message, { ...details, kind: ErrorKinds.RETRYABLE, reason: 'network_error' });
+  }
+  if (httpStatus === 429) {
+    return new KrakenError(message, { ...details, kind: ErrorKinds.BACKOFF, reason: 'rate_limited' });
+  }
+  if (httpStatus >= 500) {
+    return new KrakenError(message, { ...details, kind: ErrorKinds.RETRYABLE, reason: 'service_unavailable' });
+  }
+
+  const codes = parseCodes(message);
+  if (codes.length === 0) {
+    return new KrakenError(message, { ...details, kind: ErrorKinds.PERMANENT, reason: 'kraken_error' });
+  }
+  const classified = codes
+    .map(code => ({ code, ...classifyCode(code) }))
+    .sort((a, b) => KIND_SEVERITY[b.kind] - KIND_SEVERITY[a.kind])[0];
+  return new KrakenError(message, { ...details, codes, ...classified });
+}
+
+// Kind of any error: KrakenErrors carry theirs, other errors are classified
+// the same way (network failures are retryable, the rest permanent)
+function getErrorKind(error) {
+  return toKrakenError(error).kind;
+}
+
+module.exports = {
+  ErrorKinds,
+  KrakenError,
+  toKrakenError,
+  getErrorKind
+};
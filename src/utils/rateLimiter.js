@@ -0,0 +1,286 @@
+const config = require('../config');
+const logger = require('./logger');
+const { createRateLimitError } = require('./errorHandler');
+const { toKrakenError } = require('./krakenErrors');
+
+// Kraken's REST limits per verification tier: the private call counter
+// (max, decay per second) and the per-pair trading counter used by
+// AddOrder/CancelOrder
+const TIERS = {
+  starter: { max: 15, decay: 0.33, tradingMax: 60, tradingDecay: 1 },
+  intermediate: { max: 20, decay: 0.5, tradingMax: 125, tradingDecay: 2.34 },
+  pro: { max: 20, decay: 1, tradingMax: 180, tradingDecay: 3.75 }
+};
+
+const PUBLIC_METHODS = ['Time', 'Assets', 'AssetPairs', 'Ticker', 'Depth', 'Trades', 'Spread', 'OHLC'];
+// Ledger and trade history calls cost two points on the private counter
+const HISTORY_METHODS = ['Ledgers', 'QueryLedgers', 'TradesHistory', 'QueryTrades'];
+const TRADING_METHODS = ['AddOrder', 'CancelOrder'];
+
+// Trading counter cost of cancelling an order, by its age (seconds)
+const CANCEL_COSTS = [[5, 8], [10, 6], [15, 5], [45, 4], [90, 2], [300, 1]];
+
+// Priority lanes, highest first. Waiting calls are admitted in lane order, and
+// a lane can only fill its share of a counter.
+const Lanes = {
+  ORDER: 'order',
+  ENGINE: 'engine',
+  HISTORY: 'history',
+  CLIENT: 'client'
+};
+const LANE_RANKS = {
+  [Lanes.ORDER]: 0,
+  [Lanes.ENGINE]: 1,
+  [Lanes.HISTORY]: 2,
+  [Lanes.CLIENT]: 3
+};
+
+function isPublicMethod(method) {
+  return PUBLIC_METHODS.includes(method);
+}
+
+// Rate limiter modelled on Kraken's decaying call counters. Every call adds
+// its cost to a counter (private, public, or the trading counter of its pair)
+// that decays continuously; a call waits until its cost fits. After a rate
+// limit error the counter is treated as full and its limit is tightened, then
+// relaxed again one step per recovery interval.
+class RateLimiter {
+  constructor() {
+    this.counters = new Map(); // key -> { value, max, decay, margin, updatedAt, ... }
+    this.waiting = []; // calls waiting for capacity
+    this.orders = new Map(); // txid -> { pair, placedAt } of recently placed orders (cancel costs)
+    this.timer = null;
+    this.sequence = 0;
+    this.calls = 0;
+    this.rateLimitErrors = 0;
+  }
+
+  getTier() {
+    return TIERS[config.kraken.rateLimit.tier] ? config.kraken.rateLimit.tier : 'starter';
+  }
+
+  // Counter key and cost of a call
+  classify(method, { pair = null, txid = null } = {}) {
+    if (isPublicMethod(method)) {
+      return { key: 'public', cost: 1 };
+    }
+    if (method === 'AddOrder') {
+      return { key: pair ? `trading:${pair}` : null, cost: 1 };
+    }
+    if (method === 'CancelOrder') {
+      // Only orders placed by this process can be attributed to a pair
+      const order = this.orders.get(txid);
+      if (!order) {
+        return { key: null, cost: 0 };
+      }
+      const age = (Date.now() - order.placedAt) / 1000;
+      const step = CANCEL_COSTS.find(([maxAge]) => age < maxAge);
+      return { key: `trading:${order.pair}`, cost: step ? step[1] : 0 };
+    }
+    return { key: 'private', cost: HISTORY_METHODS.includes(method) ? 2 : 1 };
+  }
+
+  defaultLane(method) {
+    if (TRADING_METHODS.includes(method)) {
+      return Lanes.ORDER;
+    }
+    return HISTORY_METHODS.includes(method) ? Lanes.HISTORY : Lanes.ENGINE;
+  }
+
+  // Share of a counter a lane may fill
+  laneShare(lane) {
+    if (lane === Lanes.CLIENT) {
+      return config.apiRateLimit.krakenShare;
+    }
+    return lane === Lanes.HISTORY ? config.kraken.rateLimit.historyShare : 1;
+  }
+
+  getCounter(key) {
+    if (!this.counters.has(key)) {
+      const tier = TIERS[this.getTier()];
+      const limits = key === 'public'
+        ? { max: config.kraken.rateLimit.publicMax, decay: 1 }
+        : key === 'private'
+          ? { max: tier.max, decay: tier.decay }
+          : { max: tier.tradingMax, decay: tier.tradingDecay };
+      this.counters.set(key, {
+        ...limits,
+        value: 0,
+        margin: 0,
+        updatedAt: Date.now(),
+        rateLimitErrors: 0,
+        lastRateLimitedAt: null,
+        relaxedAt: null
+      });
+    }
+    return this.counters.get(key);
+  }
+
+  // Apply the decay since the last update, and relax a tightened limit
+  decay(counter, now) {
+    counter.value = Math.max(counter.value - counter.decay * (now - counter.updatedAt) / 1000, 0);
+    counter.updatedAt = now;
+    if (counter.margin > 0 && now - counter.relaxedAt >= config.kraken.rateLimit.recoveryInterval) {
+      counter.margin--;
+      counter.relaxedAt = now;
+    }
+  }
+
+  effectiveMax(counter) {
+    return counter.max - counter.margin;
+  }
+
+  // Wait until a call to `method` fits its counter. Options: pair and txid
+  // (trading counter), lane (defaults by method) and maxWait, after which a
+  // rate limit error is thrown instead of waiting further.
+  acquire(method, { pair = null, txid = null, lane = null, maxWait = null } = {}) {
+    const { key, cost } = this.classify(method, { pair, txid });
+    this.calls++;
+    if (!key || cost === 0) {
+      return Promise.resolve();
+    }
+
+    const selectedLane = lane || this.defaultLane(method);
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        method,
+        key,
+        cost,
+        lane: selectedLane,
+        rank: LANE_RANKS[selectedLane],
+        share: this.laneShare(selectedLane),
+        sequence: this.sequence++,
+        deadline: maxWait !== null ? Date.now() + maxWait : null,
+        resolve,
+        reject
+      });
+      this.pump();
+    });
+  }
+
+  // Admit waiting calls in lane order. A call that does not fit blocks the
+  // lower-priority calls on the same counter; the pump runs again once the
+  // first blocked call could fit.
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const blocked = new Set();
+    let nextWake = null;
+    this.waiting.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+
+    for (const call of [...this.waiting]) {
+      if (blocked.has(call.key)) {
+        continue;
+      }
+      const counter = this.getCounter(call.key);
+      this.decay(counter, now);
+      const limit = this.effectiveMax(counter) * call.share;
+
+      // A call costing more than the limit still goes through on an empty counter
+      if (counter.value + call.cost <= limit || counter.value === 0) {
+        counter.value += call.cost;
+        this.waiting.splice(this.waiting.indexOf(call), 1);
+        call.resolve();
+        continue;
+      }
+
+      const waitTime = Math.ceil((counter.value + call.cost - limit) / counter.decay * 1000);
+      if (call.deadline !== null && now + waitTime > call.deadline) {
+        this.waiting.splice(this.waiting.indexOf(call), 1);
+        call.reject(createRateLimitError(
+          'Kraken capacity for API requests is exhausted, retry later',
+          Math.max(Math.ceil(waitTime / 1000), 1)
+        ));
+        continue;
+      }
+
+      blocked.add(call.key);
+      nextWake = nextWake === null ? waitTime : Math.min(nextWake, waitTime);
+    }
+
+    if (this.waiting.length > 0) {
+      this.timer = setTimeout(() => this.pump(), Math.max(nextWake ?? 50, 10));
+    }
+  }
+
+  // Remember a placed order so a later cancel is charged by its age
+  recordOrder(txid, pair) {
+    const now = Date.now();
+    for (const [orderTxid, order] of this.orders) {
+      if (now - order.placedAt > 300000) {
+        this.orders.delete(orderTxid);
+      }
+    }
+    this.orders.set(txid, { pair, placedAt: now });
+  }
+
+  // Called with the error of a failed call: on a rate limit error the counter
+  // is considered full and its limit tightened by one step
+  onError(method, error, { pair = null, txid = null } = {}) {
+    if (!toKrakenError(error, method).hasReason('rate_limited')) {
+      return;
+    }
+    const { key } = this.classify(method, { pair, txid });
+    if (!key) {
+      return;
+    }
+
+    const now = Date.now();
+    const counter = this.getCounter(key);
+    this.decay(counter, now);
+    counter.margin = Math.min(counter.margin + 1, Math.floor(counter.max / 2));
+    counter.value = this.effectiveMax(counter);
+    counter.rateLimitErrors++;
+    counter.lastRateLimitedAt = now;
+    counter.relaxedAt = now;
+    this.rateLimitErrors++;
+
+    logger.warn(`Kraken rate limit exceeded on ${key}, tightening limit to ${this.effectiveMax(counter)}`, {
+      method,
+      counter: key,
+      max: counter.max,
+      margin: counter.margin,
+      error: error.message
+    });
+  }
+
+  // Current counters and queue (for debugging)
+  getStatus() {
+    const now = Date.now();
+    const counters = {};
+    for (const [key, counter] of this.counters) {
+      this.decay(counter, now);
+      counters[key] = {
+        value: Math.round(counter.value * 100) / 100,
+        max: counter.max,
+        effectiveMax: this.effectiveMax(counter),
+        decayPerSecond: counter.decay,
+        rateLimitErrors: counter.rateLimitErrors,
+        lastRateLimitedAt: counter.lastRateLimitedAt ? new Date(counter.lastRateLimitedAt).toISOString() : null
+      };
+    }
+
+    const waiting = Object.fromEntries(Object.values(Lanes).map(lane => [lane, 0]));
+    for (const call of this.waiting) {
+      waiting[call.lane]++;
+    }
+
+    return {
+      tier: this.getTier(),
+      counters,
+      waiting,
+      totalCalls: this.calls,
+      rateLimitErrors: this.rateLimitErrors,
+      isRateLimited: this.waiting.length > 0
+    };
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  Lanes,
+  TIERS,
+  isPublicMethod
+};
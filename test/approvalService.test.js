@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, marketData, sleep } = require('./helpers');
+
+setupEnv({ APPROVAL_THRESHOLD_NOTIONAL: '50' });
+
+const autoSellService = require('../src/services/autoSellService');
+const approvalService = require('../src/services/approvalService');
+
+let balance = '0';
+const calls = mockKraken((method, params) => {
+  if (method === 'Balance') {
+    return { result: { XXBT: balance } };
+  }
+  if (method === 'AddOrder') {
+    return { result: { txid: ['OAPPRV-AAAAA-BBBBBB'] } };
+  }
+  if (method === 'QueryOrders') {
+    return { result: { [params.txid]: { status: 'closed', vol: '0.1', vol_exec: '0.1', cost: '10', fee: '0', price: '100' } } };
+  }
+  return marketData(method) || { result: {} };
+});
+
+const deposit = async (amount, ledgerId) => {
+  balance = amount;
+  await autoSellService.handleBalanceUpdate({ BTC: amount }, false, { type: 'deposit', ledger_id: ledgerId });
+};
+const orderVolumes = () => calls.filter(call => call.method === 'AddOrder').map(call => Number(call.params.volume));
+
+test('a rejected deposit stays unsold when another deposit arrives, until it is released', async () => {
+  // Worth 100 at the mocked bid of 100: held for approval
+  await deposit('1', 'L1');
+  const [request] = approvalService.getApprovals({ status: 'pending' });
+  assert.strictEqual(request.amount, 1);
+
+  approvalService.reject(request.id, 'alice');
+  // Worth 10: sold right away, but only the new 0.1
+  await deposit('1.1', 'L2');
+  await sleep(50);
+
+  assert.deepStrictEqual(orderVolumes(), [0.1]);
+  assert.strictEqual(approvalService.getHeldAmount('BTC').toNumber(), 1);
+
+  approvalService.release(request.id, 'alice');
+  assert.strictEqual(approvalService.getHeldAmount('BTC').toNumber(), 0);
+  assert.throws(() => approvalService.release(request.id, 'alice'), { type: 'Validation Error' });
+});
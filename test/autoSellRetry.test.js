@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, marketData } = require('./helpers');
+
+setupEnv({
+  EXECUTION_STRATEGY: 'limit',
+  LIMIT_FILL_TIMEOUT_MS: '20',
+  LIMIT_MAX_REPRICES: '2'
+});
+
+const config = require('../src/config');
+const autoSellService = require('../src/services/autoSellService');
+
+config.kraken.retryDelay = 1;
+
+let balance = 3;
+let depthFailures = 0;
+const orders = {};
+const calls = mockKraken((method, params) => {
+  if (method === 'Balance') {
+    return { result: { XXBT: String(balance) } };
+  }
+  if (method === 'AddOrder') {
+    const txid = `OLIMIT-${Object.keys(orders).length}-BBBBBB`;
+    // The first order only fills partly before it is cancelled
+    const filled = Object.keys(orders).length === 0 ? 0.4 : Number(params.volume);
+    orders[txid] = { vol: params.volume, filled };
+    balance -= filled;
+    return { result: { txid: [txid] } };
+  }
+  if (method === 'QueryOrders') {
+    const order = orders[params.txid];
+    const closed = order.filled === Number(order.vol);
+    return {
+      result: {
+        [params.txid]: { status: closed ? 'closed' : 'canceled', vol: order.vol, vol_exec: String(order.filled), cost: '0', fee: '0', price: '99.5' }
+      }
+    };
+  }
+  // Re-pricing after the first order fails until its retries are used up
+  if (method === 'Depth' && Object.keys(orders).length === 1 && depthFailures++ < config.kraken.retryAttempts) {
+    throw new Error('Service:Unavailable');
+  }
+  return marketData(method) || { result: {} };
+});
+
+test('a retry after a limit execution failed halfway only sells the unsold rest', async () => {
+  // The sell policy allowed 2 of the 3 BTC held
+  const sold = await autoSellService.processBalance('BTC', 2);
+
+  const volumes = calls.filter(call => call.method === 'AddOrder').map(call => Number(call.params.volume));
+  assert.strictEqual(sold, true);
+  assert.deepStrictEqual(volumes, [2, 1.6]);
+  assert.strictEqual(balance, 1);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, marketData, sleep } = require('./helpers');
+
+setupEnv();
+
+const stateStore = require('../src/services/stateStore');
+const autoSellService = require('../src/services/autoSellService');
+
+let balance = '1';
+const calls = mockKraken((method) => {
+  if (method === 'Balance') {
+    return { result: { XXBT: balance, ZUSD: '10' } };
+  }
+  if (method === 'AddOrder') {
+    return { result: { txid: ['OTEST1-AAAAA-BBBBBB'] } };
+  }
+  if (method === 'CancelOrder') {
+    throw new Error('Order:Unknown order');
+  }
+  if (method === 'QueryOrders') {
+    return { result: { 'OTEST1-AAAAA-BBBBBB': { status: 'closed', vol: '1', vol_exec: '1', cost: '100', fee: '0.1', price: '100' } } };
+  }
+  return marketData(method) || { result: {} };
+});
+
+const orderCalls = () => calls.filter(call => call.method === 'AddOrder').length;
+
+test('a restart replaying the REST and websocket snapshots sells nothing', async () => {
+  // Balances journaled by an earlier run under Kraken codes
+  stateStore.setBalances({ XXBT: '1', ZUSD: '10' });
+  autoSellService.restoreState();
+
+  await autoSellService.handleBalanceUpdate({ XXBT: '1', ZUSD: '10' }, true);
+  await autoSellService.handleBalanceUpdate({ BTC: 1, USD: 10 }, true);
+  await sleep(50);
+
+  assert.strictEqual(orderCalls(), 0);
+  assert.deepStrictEqual(Object.keys(autoSellService.getCurrentBalances()).sort(), ['BTC', 'USD']);
+});
+
+test('a rejected order is not followed up or canceled after a restart', async () => {
+  const txid = 'OREJEC-AAAAA-BBBBBB';
+  stateStore.recordOrder(txid, { asset: 'BTC', pair: 'XXBTZUSD', volume: 0.5, orderType: 'limit', status: 'rejected' });
+  const callCount = calls.length;
+
+  autoSellService.restoreState();
+  await sleep(50);
+
+  assert.ok(!stateStore.getOpenOrders().some(order => order.txid === txid));
+  assert.deepStrictEqual(calls.slice(callCount).map(call => call.method), []);
+  const result = await autoSellService.cancelOrder(txid);
+  assert.strictEqual(result.reason, 'order_not_open');
+});
+
+test('a failed cancel does not mark the order as canceled by the operator', async () => {
+  const txid = 'OOPEN1-AAAAA-BBBBBB';
+  stateStore.recordOrder(txid, { asset: 'BTC', pair: 'XXBTZUSD', volume: 0.5, orderType: 'limit', status: 'open' });
+
+  await assert.rejects(autoSellService.cancelOrder(txid, 'ops'), { name: 'KrakenError' });
+
+  assert.strictEqual(stateStore.getOrder(txid).canceledBy, undefined);
+  assert.strictEqual(autoSellService.pendingCancels.size, 0);
+});
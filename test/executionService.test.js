@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, marketData } = require('./helpers');
+
+setupEnv({
+  EXECUTION_STRATEGY: 'limit',
+  LIMIT_FILL_TIMEOUT_MS: '20',
+  LIMIT_MAX_REPRICES: '2'
+});
+
+const stateStore = require('../src/services/stateStore');
+const executionService = require('../src/services/executionService');
+
+const TXID = 'OLIMIT-AAAAA-BBBBBB';
+let orderState = 'open';
+const calls = mockKraken((method) => {
+  if (method === 'AddOrder') {
+    return { result: { txid: [TXID] } };
+  }
+  if (method === 'QueryOrders') {
+    const filled = orderState === 'closed';
+    return {
+      result: {
+        [TXID]: { status: orderState, vol: '1', vol_exec: filled ? '1' : '0', cost: filled ? '99.5' : '0', fee: '0', price: '99.5' }
+      }
+    };
+  }
+  if (method === 'CancelOrder') {
+    // The order filled just before the cancel reached Kraken
+    orderState = 'closed';
+    throw new Error('Order:Unknown order');
+  }
+  return marketData(method) || { result: {} };
+});
+
+test('a limit order that fills just before its cancel counts as filled', async () => {
+  const result = await executionService.sell('BTC', 'XXBTZUSD', 1);
+
+  assert.strictEqual(result.status, 'filled');
+  assert.strictEqual(result.filledVolume, 1);
+  assert.deepStrictEqual(result.txids, [TXID]);
+  assert.strictEqual(calls.filter(call => call.method === 'AddOrder').length, 1);
+  assert.strictEqual(stateStore.getOrder(TXID).status, 'closed');
+});
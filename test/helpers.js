@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test files run in their own process; each one configures the bot through
+// environment variables before anything from src is required
+function setupEnv(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kraken-auto-test-'));
+  Object.assign(process.env, {
+    KRAKEN_API_KEY: 'test-key',
+    KRAKEN_API_SECRET: Buffer.from('test-secret').toString('base64'),
+    STATE_FILE: path.join(dir, 'state.jsonl'),
+    NONCE_FILE: path.join(dir, 'nonce'),
+    AUTH_ENABLED: 'false',
+    ...overrides
+  });
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const ASSETS = {
+  XXBT: { altname: 'XBT', decimals: 10 },
+  ZUSD: { altname: 'USD', decimals: 4 }
+};
+const PAIRS = {
+  XXBTZUSD: {
+    altname: 'XBTUSD',
+    wsname: 'XBT/USD',
+    base: 'XXBT',
+    quote: 'ZUSD',
+    ordermin: '0.0001',
+    costmin: '0.5',
+    lot_decimals: 8,
+    pair_decimals: 1,
+    tick_size: '0.1',
+    status: 'online'
+  }
+};
+
+// Load the BTC/USD market into the registry and pair index, and answer Kraken
+// calls with handler(method, params). Returns the list of calls made.
+function mockKraken(handler) {
+  const krakenService = require('../src/services/krakenService');
+  const assetRegistry = require('../src/services/assetRegistry');
+  const pairIndex = require('../src/services/pairIndex');
+  const stateStore = require('../src/services/stateStore');
+
+  stateStore.load();
+  assetRegistry.load(ASSETS, PAIRS);
+  pairIndex.load(PAIRS);
+  krakenService.pairs = PAIRS;
+  krakenService.minimumOrderSizes = { BTC: 0.0001, XXBT: 0.0001 };
+
+  const calls = [];
+  krakenService.kraken.api = async (method, params) => {
+    calls.push({ method, params });
+    return handler(method, params);
+  };
+  krakenService.kraken.privateMethod = krakenService.kraken.api;
+  return calls;
+}
+
+// Ticker and Depth answers for BTC/USD around the given bid
+function marketData(method, bid = 100) {
+  if (method === 'Ticker') {
+    const price = String(bid);
+    return { result: { XXBTZUSD: { a: [String(bid + 1)], b: [price], c: [price], v: ['1', '1'], p: [price, price] } } };
+  }
+  if (method === 'Depth') {
+    return { result: { XXBTZUSD: { bids: [[String(bid), '100', 0]], asks: [[String(bid + 1), '100', 0]] } } };
+  }
+  return null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  setupEnv,
+  mockKraken,
+  marketData,
+  sleep
+};
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, sleep } = require('./helpers');
+
+setupEnv();
+
+const krakenService = require('../src/services/krakenService');
+
+test('private calls are sent one at a time in nonce order', async () => {
+  const sent = [];
+  let inFlight = 0;
+  mockKraken(async (method, params) => {
+    inFlight++;
+    sent.push({ nonce: params.nonce, inFlight });
+    // Later calls answer faster, so overlapping sends would arrive out of order
+    await sleep(30 - sent.length * 10);
+    inFlight--;
+    return { result: {} };
+  });
+
+  await Promise.all([
+    krakenService.request('Balance'),
+    krakenService.request('OpenOrders'),
+    krakenService.request('ClosedOrders')
+  ]);
+
+  assert.deepStrictEqual(sent.map(call => call.inFlight), [1, 1, 1]);
+  const nonces = sent.map(call => call.nonce);
+  assert.deepStrictEqual([...nonces].sort((a, b) => a - b), nonces);
+});
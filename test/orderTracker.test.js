@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, mockKraken, sleep } = require('./helpers');
+
+setupEnv({
+  ORDER_POLL_INTERVAL_MS: '5',
+  ORDER_MAX_POLLS: '2'
+});
+
+const stateStore = require('../src/services/stateStore');
+const orderTracker = require('../src/services/orderTracker');
+
+const TXID = 'OTRACK-AAAAA-BBBBBB';
+const calls = mockKraken((method) => {
+  if (method === 'QueryOrders') {
+    return {
+      result: {
+        [TXID]: { status: 'open', vol: '1', vol_exec: '0', cost: '0', fee: '0', price: '0' }
+      }
+    };
+  }
+  return { result: {} };
+});
+
+test('an order still open after the last poll is marked lost', async () => {
+  stateStore.recordOrder(TXID, { asset: 'BTC', volume: 1, status: 'open' });
+  orderTracker.track(TXID, { asset: 'BTC', pair: 'XXBTZUSD', requestedVolume: 1 }, 5);
+  await sleep(100);
+
+  assert.strictEqual(calls.filter(call => call.method === 'QueryOrders').length, 2);
+  assert.strictEqual(orderTracker.getOrder(TXID).status, 'lost');
+  assert.strictEqual(stateStore.getOrder(TXID).status, 'lost');
+  assert.ok(!stateStore.getOpenOrders().some(order => order.txid === TXID));
+});
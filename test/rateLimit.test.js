@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  AUTH_ENABLED: 'true',
+  API_KEYS: JSON.stringify([{ id: 'dashboard', key: 'dashboard-key-0123456789', role: 'read-only' }]),
+  API_RATE_LIMIT_MAX_REQUESTS: '2',
+  TRUST_PROXY: 'true'
+});
+
+const app = require('../src/app');
+
+let server;
+let baseUrl;
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/`;
+});
+after(() => server.close());
+
+const get = (headers = {}) => fetch(baseUrl, { headers }).then(res => res.status);
+
+test('a known API key has its own window, whatever the IP address has used', async () => {
+  const proxy = { 'X-Forwarded-For': '203.0.113.7' };
+  assert.deepStrictEqual([await get(proxy), await get(proxy), await get(proxy)], [401, 401, 429]);
+
+  const withKey = { ...proxy, 'X-API-Key': 'dashboard-key-0123456789' };
+  assert.deepStrictEqual([await get(withKey), await get(withKey), await get(withKey)], [200, 200, 429]);
+});
+
+test('clients behind a trusted proxy are limited by their own address', async () => {
+  assert.strictEqual(await get({ 'X-Forwarded-For': '203.0.113.8' }), 401);
+});
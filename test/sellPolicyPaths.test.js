@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, mockKraken, marketData, sleep } = require('./helpers');
+
+const dir = setupEnv({ ORDER_POLL_DELAY_MS: '10' });
+const policyFile = path.join(dir, 'policy.json');
+fs.writeFileSync(policyFile, JSON.stringify({ assets: { BTC: { action: 'keep-units', units: 1 } } }));
+
+const sellPolicyService = require('../src/services/sellPolicyService');
+const autoSellService = require('../src/services/autoSellService');
+sellPolicyService.load(policyFile);
+
+// 2 BTC known, then a deposit of 1.5 BTC
+const calls = mockKraken((method, params) => {
+  if (method === 'Balance') {
+    return { result: { XXBT: '3.5' } };
+  }
+  if (method === 'AddOrder') {
+    return { result: { txid: [`O${calls.length}`] } };
+  }
+  if (method === 'QueryOrders') {
+    return { result: { [params.txid]: { status: 'closed', vol: '2.5', vol_exec: '2.5', cost: '250', fee: '0', price: '100' } } };
+  }
+  return marketData(method) || { result: {} };
+});
+
+const soldVolumes = () => calls.filter(call => call.method === 'AddOrder').map(call => Number(call.params.volume));
+
+test('a deposit is sold the same way from a balance update and from a deposit event', async () => {
+  autoSellService.currentBalances = { BTC: '2' };
+  await autoSellService.handleBalanceUpdate({ BTC: '3.5' }, false, { type: 'deposit', ledger_id: 'L1' });
+
+  autoSellService.currentBalances = { BTC: '2' };
+  await autoSellService.handleDeposit('BTC', '1.5', { type: 'deposit', ledger_id: 'L2' });
+  await sleep(50);
+
+  assert.deepStrictEqual(soldVolumes(), [2.5, 2.5]);
+});
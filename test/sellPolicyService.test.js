@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv } = require('./helpers');
+
+const dir = setupEnv();
+const policyFile = path.join(dir, 'policy.json');
+fs.writeFileSync(policyFile, JSON.stringify({
+  default: { action: 'sell' },
+  assets: {
+    BTC: { action: 'keep-units', units: 0.1 },
+    ETH: { action: 'sell-percentage', percentage: 10 }
+  }
+}));
+
+const sellPolicyService = require('../src/services/sellPolicyService');
+sellPolicyService.load(policyFile);
+
+test('sell amounts are computed without float rounding', () => {
+  assert.strictEqual(sellPolicyService.evaluate('BTC', '0.3').sellAmount.toFixed(), '0.2');
+  assert.strictEqual(sellPolicyService.evaluate('ETH', '0.3').sellAmount.toFixed(), '0.03');
+  assert.strictEqual(sellPolicyService.evaluate('BTC', '0.1').reason, 'within_reserve');
+});